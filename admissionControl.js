@@ -0,0 +1,198 @@
+const config = require('./config');
+
+// Open connections, globally and per remote IP
+let totalConnections = 0;
+const connectionsByIp = new Map();
+
+// Packet arrival times per IMEI within the current rate limit window
+const packetTimes = new Map();
+
+// Recent violation times, and subjects banned until a given time. Abuse before a
+// handshake is charged to the client IP; once a device has identified itself its
+// rate limit violations are charged to its IMEI, so a noisy tracker doesn't get
+// every device behind the same carrier NAT banned with it.
+const violations = new Map();
+const bans = new Map();
+const imeiViolations = new Map();
+const imeiBans = new Map();
+
+let pruneTimer = null;
+
+// Rejections by reason, for monitoring
+const rejectionCounters = {
+    globalLimit: 0,
+    ipLimit: 0,
+    banned: 0,
+    rateLimit: 0
+};
+
+function countRejection(reason, subject) {
+    rejectionCounters[reason]++;
+    console.warn(`🚫 Rejected ${subject}: ${reason} (${rejectionCounters[reason]} total)`);
+}
+
+// Record a violation for an IP or IMEI and ban it once it has too many recent ones
+function recordViolation(subject, violationsOf = violations, bansOf = bans) {
+    const now = Date.now();
+    const recent = (violationsOf.get(subject) || []).filter(time => now - time < config.BAN_DURATION);
+    recent.push(now);
+    violationsOf.set(subject, recent);
+
+    if (recent.length >= config.BAN_THRESHOLD) {
+        bansOf.set(subject, now + config.BAN_DURATION);
+        violationsOf.delete(subject);
+        console.warn(`⛔ Banned ${subject} for ${Math.round(config.BAN_DURATION / 1000)}s after ${recent.length} violations`);
+    }
+}
+
+function isBannedIn(bansOf, subject) {
+    const until = bansOf.get(subject);
+    if (!until) return false;
+
+    if (Date.now() >= until) {
+        bansOf.delete(subject);
+        return false;
+    }
+    return true;
+}
+
+function isBanned(ip) {
+    return isBannedIn(bans, ip);
+}
+
+function isImeiBanned(imei) {
+    return isBannedIn(imeiBans, imei);
+}
+
+// Decide whether a new TCP connection may be accepted. Accepted connections must
+// be released with releaseConnection when they close.
+function admitConnection(ip) {
+    if (isBanned(ip)) {
+        countRejection('banned', `connection from ${ip}`);
+        return { allowed: false, reason: 'banned' };
+    }
+
+    if (totalConnections >= config.MAX_CONNECTIONS) {
+        countRejection('globalLimit', `connection from ${ip}`);
+        return { allowed: false, reason: 'globalLimit' };
+    }
+
+    const fromIp = connectionsByIp.get(ip) || 0;
+    if (fromIp >= config.MAX_CONNECTIONS_PER_IP) {
+        countRejection('ipLimit', `connection from ${ip}`);
+        recordViolation(ip);
+        return { allowed: false, reason: 'ipLimit' };
+    }
+
+    totalConnections++;
+    connectionsByIp.set(ip, fromIp + 1);
+    return { allowed: true, reason: null };
+}
+
+function releaseConnection(ip) {
+    totalConnections = Math.max(0, totalConnections - 1);
+
+    const fromIp = (connectionsByIp.get(ip) || 1) - 1;
+    if (fromIp > 0) {
+        connectionsByIp.set(ip, fromIp);
+    } else {
+        connectionsByIp.delete(ip);
+    }
+}
+
+// Sliding-window packet rate limit per IMEI, or per IP before the handshake.
+// Returns false if the packet should be dropped; repeat offenders get their IMEI
+// banned, or their IP if they never identified themselves.
+function allowPacket(imei, ip) {
+    if (isBanned(ip) || (imei && isImeiBanned(imei))) {
+        countRejection('banned', `packet from ${imei || ip}`);
+        return false;
+    }
+
+    const key = imei || ip;
+    const now = Date.now();
+    const recent = (packetTimes.get(key) || []).filter(time => now - time < config.RATE_LIMIT_WINDOW);
+
+    if (recent.length >= config.RATE_LIMIT_REQUESTS) {
+        packetTimes.set(key, recent);
+        countRejection('rateLimit', `packet from ${key}`);
+        if (imei) {
+            recordViolation(imei, imeiViolations, imeiBans);
+        } else {
+            recordViolation(ip);
+        }
+        return false;
+    }
+
+    recent.push(now);
+    packetTimes.set(key, recent);
+    return true;
+}
+
+function getAdmissionStats() {
+    const now = Date.now();
+    return {
+        totalConnections,
+        maxConnections: config.MAX_CONNECTIONS,
+        connectionsByIp: Object.fromEntries(connectionsByIp),
+        rejections: { ...rejectionCounters },
+        bans: [...bans.entries()]
+            .filter(([, until]) => until > now)
+            .map(([ip, until]) => ({ ip, until: new Date(until) })),
+        imeiBans: [...imeiBans.entries()]
+            .filter(([, until]) => until > now)
+            .map(([imei, until]) => ({ imei, until: new Date(until) }))
+    };
+}
+
+// Forget rate limit windows, violations and bans that have run out, so IMEIs and
+// IPs seen once don't stay in memory
+function pruneAdmissionState() {
+    const now = Date.now();
+
+    for (const [key, times] of packetTimes) {
+        if (times.length === 0 || now - times[times.length - 1] >= config.RATE_LIMIT_WINDOW) {
+            packetTimes.delete(key);
+        }
+    }
+    for (const violationsOf of [violations, imeiViolations]) {
+        for (const [subject, times] of violationsOf) {
+            if (times.length === 0 || now - times[times.length - 1] >= config.BAN_DURATION) {
+                violationsOf.delete(subject);
+            }
+        }
+    }
+    for (const bansOf of [bans, imeiBans]) {
+        for (const [subject, until] of bansOf) {
+            if (now >= until) bansOf.delete(subject);
+        }
+    }
+}
+
+// Prune every RATE_LIMIT_WINDOW
+function startAdmissionPruning() {
+    const schedule = () => {
+        pruneTimer = setTimeout(() => {
+            pruneAdmissionState();
+            schedule();
+        }, config.RATE_LIMIT_WINDOW);
+    };
+    schedule();
+}
+
+function stopAdmissionPruning() {
+    clearTimeout(pruneTimer);
+    pruneTimer = null;
+}
+
+module.exports = {
+    admitConnection,
+    releaseConnection,
+    allowPacket,
+    isBanned,
+    isImeiBanned,
+    getAdmissionStats,
+    pruneAdmissionState,
+    startAdmissionPruning,
+    stopAdmissionPruning
+};
@@ -0,0 +1,123 @@
+const Alert = require('./models/Alert');
+const { getDeviceInfoByDeviceId } = require('./database');
+const { getDeviceProfile } = require('./profiles');
+
+// Find alert events in a record. An alert IO element that is non-zero raises its
+// alert; the same element reported as zero clears it. A record whose eventIOID is
+// an alert element raises it even if the element itself was not sent. Returns
+// [{ type, ioId, value, raised }].
+function detectAlertEvents(record, profile = getDeviceProfile(record.model)) {
+    const events = [];
+    if (!profile.alerts) return events;
+
+    const elements = record.elements || {};
+    for (const [id, type] of Object.entries(profile.alerts)) {
+        let value = elements[id];
+        if (value === undefined && record.eventIOID === Number(id)) {
+            value = 1;
+        }
+        if (value === undefined) continue;
+
+        const raised = value !== 0 && value !== '0';
+        events.push({ type, ioId: Number(id), value, raised });
+    }
+
+    return events;
+}
+
+// Create or resolve Alert documents for a batch of records from one device
+async function processAlerts(deviceImei, records) {
+    let deviceInfo = null;
+
+    for (const record of records) {
+        const events = detectAlertEvents(record);
+        if (events.length === 0) continue;
+
+        if (!deviceInfo) {
+            try {
+                deviceInfo = await getDeviceInfoByDeviceId(deviceImei);
+            } catch (error) {
+                console.error(`❌ Cannot process alerts for ${deviceImei}: ${error.message}`);
+                return;
+            }
+            if (!deviceInfo) return;
+        }
+
+        const timestamp = new Date(record.timestamp);
+
+        for (const event of events) {
+            try {
+                // Open or acknowledged alerts of this type are still live
+                const liveAlert = await Alert.findOne({
+                    device: deviceInfo._id,
+                    type: event.type,
+                    status: { $in: ['open', 'acknowledged'] }
+                });
+
+                if (event.raised && !liveAlert) {
+                    const alert = await Alert.create({
+                        device: deviceInfo._id,
+                        animal: deviceInfo.animalId,
+                        user: deviceInfo.userId,
+                        type: event.type,
+                        ioId: event.ioId,
+                        value: event.value,
+                        position: {
+                            latitude: record.positionLatitude || record.latitude,
+                            longitude: record.positionLongitude || record.longitude
+                        },
+                        timestamp
+                    });
+                    console.log(`🚨 Device ${deviceImei}: ${event.type} alert raised (${alert._id})`);
+                } else if (!event.raised && liveAlert) {
+                    liveAlert.status = 'resolved';
+                    liveAlert.resolvedAt = timestamp;
+                    await liveAlert.save();
+                    console.log(`✅ Device ${deviceImei}: ${event.type} alert resolved by device (${liveAlert._id})`);
+                }
+            } catch (error) {
+                console.error(`❌ Error processing ${event.type} alert for ${deviceImei}: ${error.message}`);
+            }
+        }
+    }
+}
+
+// Move an alert through its lifecycle: open -> acknowledged -> resolved
+async function acknowledgeAlert(alertId) {
+    const alert = await Alert.findById(alertId);
+    if (!alert) return null;
+
+    if (alert.status === 'open') {
+        alert.status = 'acknowledged';
+        alert.acknowledgedAt = new Date();
+        await alert.save();
+        console.log(`👀 Alert ${alertId} acknowledged`);
+    }
+    return alert;
+}
+
+async function resolveAlert(alertId) {
+    const alert = await Alert.findById(alertId);
+    if (!alert) return null;
+
+    if (alert.status !== 'resolved') {
+        alert.status = 'resolved';
+        alert.resolvedAt = new Date();
+        await alert.save();
+        console.log(`✅ Alert ${alertId} resolved`);
+    }
+    return alert;
+}
+
+// List alerts, optionally filtered by status, newest first
+async function getAlerts(filter = {}, limit = 100) {
+    return Alert.find(filter).sort({ timestamp: -1 }).limit(limit).lean();
+}
+
+module.exports = {
+    detectAlertEvents,
+    processAlerts,
+    acknowledgeAlert,
+    resolveAlert,
+    getAlerts
+};
@@ -0,0 +1,122 @@
+const { getDeviceInfoByDeviceId, saveWalkPath, WalkPath } = require('./database');
+const { segmentWalks } = require('./segmentation');
+const { getSegmentationSettings } = require('./segmentationProfiles');
+
+// Split a sorted batch into records newer than anything the live tracker has seen,
+// which are tracked as usual, and late records that arrived after newer ones
+function splitLateRecords(records, tracker) {
+    const liveFrom = tracker && tracker.lastPoint ? tracker.lastPoint.timestamp : null;
+    if (!liveFrom) return { liveRecords: records, lateRecords: [] };
+
+    return {
+        liveRecords: records.filter(record => new Date(record.timestamp) > liveFrom),
+        lateRecords: records.filter(record => new Date(record.timestamp) <= liveFrom)
+    };
+}
+
+// Late records are kept per device for a while after they arrive, so a late walk
+// delivered over several packets, in whatever order, is rebuilt as one walk rather
+// than a fragment per packet. A device's records are forgotten once none have
+// arrived for LATE_MERGE_TTL, or when there are too many to keep.
+const LATE_MERGE_TTL = 600000;
+const LATE_MERGE_MAX_RECORDS = 20000;
+
+const lateBatches = new Map();
+
+function lateBatchFor(deviceImei, now) {
+    for (const [imei, batch] of lateBatches) {
+        if (now - batch.touchedAt > LATE_MERGE_TTL) lateBatches.delete(imei);
+    }
+
+    let batch = lateBatches.get(deviceImei);
+    if (!batch || batch.records.size >= LATE_MERGE_MAX_RECORDS) {
+        // records by timestamp, so resent ones count once; walks saved from them by walkKey
+        batch = { records: new Map(), walks: new Map(), touchedAt: now };
+        lateBatches.set(deviceImei, batch);
+    }
+    batch.touchedAt = now;
+    return batch;
+}
+
+function walkKey(walk) {
+    return `${walk.startTime.getTime()}:${walk.endTime.getTime()}:${walk.points.length}`;
+}
+
+// Rebuild walks from late records as closed WalkPaths, leaving the live walk alone.
+// Records from the live walk's period are skipped. Late records are merged with
+// those that arrived shortly before, and walks rebuilt from the earlier ones are
+// replaced when the new records change them. A rebuilt walk that overlaps any other
+// stored walk (for example from a resent packet) is not saved.
+async function reconstructWalks(deviceImei, lateRecords, tracker) {
+    const liveWalkStart = tracker && tracker.movementStartTime;
+    const records = liveWalkStart
+        ? lateRecords.filter(record => new Date(record.timestamp) < liveWalkStart)
+        : lateRecords;
+    if (records.length === 0) return [];
+
+    const batch = lateBatchFor(deviceImei, Date.now());
+    for (const record of records) {
+        batch.records.set(new Date(record.timestamp).getTime(), record);
+    }
+    const merged = [...batch.records.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([, record]) => record);
+
+    // Same rules as the live tracker, so a late walk looks as it would have live
+    const walks = new Map(segmentWalks(merged, await getSegmentationSettings(deviceImei)).map(walk => [walkKey(walk), walk]));
+    if ([...walks.keys()].every(key => batch.walks.has(key)) && [...batch.walks.keys()].every(key => walks.has(key))) {
+        return [];
+    }
+
+    let deviceInfo;
+    try {
+        deviceInfo = await getDeviceInfoByDeviceId(deviceImei);
+    } catch (error) {
+        console.error(`❌ Device ${deviceImei}: Cannot reconstruct late walks: ${error.message}`);
+        return [];
+    }
+    if (!deviceInfo) return [];
+
+    // Walks rebuilt from earlier packets that the new records extended or split
+    for (const [key, walkPathId] of batch.walks) {
+        if (walks.has(key)) continue;
+        try {
+            await WalkPath.deleteOne({ _id: walkPathId });
+            batch.walks.delete(key);
+        } catch (error) {
+            console.error(`❌ Error replacing late walk ${walkPathId} for ${deviceImei}: ${error.message}`);
+        }
+    }
+
+    const saved = [];
+    for (const [key, walk] of walks) {
+        if (batch.walks.has(key)) continue;
+        try {
+            const overlapping = await WalkPath.exists({
+                device: deviceInfo._id,
+                startTime: { $lte: walk.endTime },
+                $or: [{ endTime: { $gte: walk.startTime } }, { isActive: true }]
+            });
+            if (overlapping) {
+                console.log(`⏭️ Device ${deviceImei}: Late walk ${walk.startTime.toISOString()} - ${walk.endTime.toISOString()} overlaps a stored walk, skipping`);
+                continue;
+            }
+
+            const walkPath = await saveWalkPath(deviceImei, walk.points, false, walk.startTime, walk.endTime);
+            if (walkPath) {
+                console.log(`🕰️ Device ${deviceImei}: Reconstructed late walk with ${walk.points.length} points`);
+                batch.walks.set(key, walkPath._id);
+                saved.push(walkPath);
+            }
+        } catch (error) {
+            console.error(`❌ Error reconstructing late walk for ${deviceImei}: ${error.message}`);
+        }
+    }
+
+    return saved;
+}
+
+module.exports = {
+    splitLateRecords,
+    reconstructWalks
+};
@@ -0,0 +1,174 @@
+const DeviceCommand = require('./models/DeviceCommand');
+const { encodeCodec12Command, parseCodec12Response, CODEC_12_RESPONSE } = require('./parsers');
+const { safeSocketWrite } = require('./utils');
+const config = require('./config');
+
+// Command awaiting a response, per IMEI. Codec 12 carries no message IDs, so only
+// one command is in flight per device and the next response answers it.
+const inFlightCommands = new Map();
+
+// Store a command for a device. It stays queued until the device is connected.
+async function queueCommand(deviceImei, command) {
+    if (!command || typeof command !== 'string') {
+        // Named like mongoose's validation errors so the API answers 400
+        const error = new Error('Command must be a non-empty string');
+        error.name = 'ValidationError';
+        throw error;
+    }
+
+    const queued = await DeviceCommand.create({ deviceImei, command });
+    console.log(`📨 Queued command "${command}" for device ${deviceImei} (${queued._id})`);
+    return queued;
+}
+
+// Send the oldest queued command to a connected device, if none is in flight
+async function flushCommands(deviceImei, socket) {
+    if (!deviceImei || inFlightCommands.has(deviceImei)) {
+        return false;
+    }
+
+    // Reserve the slot before awaiting so concurrent flushes don't send twice
+    const inFlight = { commandId: null, socket, timer: null };
+    inFlightCommands.set(deviceImei, inFlight);
+
+    try {
+        const next = await DeviceCommand.findOneAndUpdate(
+            { deviceImei, status: 'queued' },
+            { $set: { status: 'sent', sentAt: new Date() }, $inc: { attempts: 1 } },
+            { sort: { createdAt: 1 }, new: true }
+        );
+
+        if (!next) {
+            inFlightCommands.delete(deviceImei);
+            return false;
+        }
+
+        inFlight.commandId = next._id;
+
+        if (!safeSocketWrite(socket, encodeCodec12Command(next.command), deviceImei)) {
+            await requeueInFlight(deviceImei, 'Socket not writable');
+            return false;
+        }
+
+        inFlight.timer = setTimeout(async () => {
+            console.warn(`⏱️ No response to command "${next.command}" from ${deviceImei}`);
+            await requeueInFlight(deviceImei, 'No response from device');
+            await flushCommands(deviceImei, socket);
+        }, config.COMMAND_RESPONSE_TIMEOUT);
+
+        console.log(`📤 Sent command "${next.command}" to ${deviceImei} (attempt ${next.attempts})`);
+        return true;
+    } catch (error) {
+        console.error(`❌ Error flushing commands for ${deviceImei}: ${error.message}`);
+        if (inFlightCommands.get(deviceImei) === inFlight) {
+            clearTimeout(inFlight.timer);
+            inFlightCommands.delete(deviceImei);
+        }
+        return false;
+    }
+}
+
+// Correlate a Codec 12 response packet with the command in flight for the device
+async function handleCommandResponse(deviceImei, packet, socket) {
+    const response = parseCodec12Response(packet);
+    if (!response) {
+        console.warn(`⚠️ Invalid Codec 12 packet from ${deviceImei}`);
+        return null;
+    }
+
+    if (response.type !== CODEC_12_RESPONSE) {
+        console.warn(`⚠️ Unexpected Codec 12 message type 0x${response.type.toString(16)} from ${deviceImei}`);
+        return null;
+    }
+
+    const inFlight = inFlightCommands.get(deviceImei);
+    if (!inFlight || !inFlight.commandId) {
+        console.warn(`⚠️ Unsolicited command response from ${deviceImei}: ${response.text}`);
+        return null;
+    }
+
+    clearTimeout(inFlight.timer);
+    inFlightCommands.delete(deviceImei);
+
+    try {
+        const answered = await DeviceCommand.findByIdAndUpdate(
+            inFlight.commandId,
+            { $set: { status: 'answered', response: response.text, answeredAt: new Date() } },
+            { new: true }
+        );
+        console.log(`📥 Device ${deviceImei} answered "${answered ? answered.command : inFlight.commandId}": ${response.text}`);
+
+        // Deliver the next queued command, if any
+        await flushCommands(deviceImei, socket || inFlight.socket);
+        return answered;
+    } catch (error) {
+        console.error(`❌ Error storing command response for ${deviceImei}: ${error.message}`);
+        return null;
+    }
+}
+
+// Put the in-flight command back in the queue, or fail it after too many attempts
+async function requeueInFlight(deviceImei, reason) {
+    const inFlight = inFlightCommands.get(deviceImei);
+    if (!inFlight) return;
+
+    clearTimeout(inFlight.timer);
+    inFlightCommands.delete(deviceImei);
+    if (!inFlight.commandId) return;
+
+    try {
+        const command = await DeviceCommand.findById(inFlight.commandId);
+        if (!command || command.status !== 'sent') return;
+
+        if (command.attempts >= config.COMMAND_MAX_ATTEMPTS) {
+            command.status = 'failed';
+            command.error = reason;
+            console.warn(`❌ Command "${command.command}" for ${deviceImei} failed after ${command.attempts} attempts: ${reason}`);
+        } else {
+            command.status = 'queued';
+        }
+        await command.save();
+    } catch (error) {
+        console.error(`❌ Error requeueing command for ${deviceImei}: ${error.message}`);
+    }
+}
+
+// Release the in-flight command when the device disconnects, so it is resent on reconnect.
+// With a socket, only a command sent on that socket is released.
+async function releaseCommands(deviceImei, socket) {
+    const inFlight = inFlightCommands.get(deviceImei);
+    if (socket && inFlight && inFlight.socket !== socket) return;
+
+    await requeueInFlight(deviceImei, 'Device disconnected');
+}
+
+// Commands left 'sent' by a crash or restart never got their response. Queue them
+// again, or fail those already out of attempts. Must run before devices connect.
+async function requeueStaleCommands() {
+    try {
+        const failed = await DeviceCommand.updateMany(
+            { status: 'sent', attempts: { $gte: config.COMMAND_MAX_ATTEMPTS } },
+            { $set: { status: 'failed', error: 'Interrupted by server restart' } }
+        );
+        const requeued = await DeviceCommand.updateMany({ status: 'sent' }, { $set: { status: 'queued' } });
+        if (requeued.modifiedCount > 0 || failed.modifiedCount > 0) {
+            console.log(`🧹 Commands interrupted by the last shutdown: ${requeued.modifiedCount} requeued, ${failed.modifiedCount} failed`);
+        }
+    } catch (error) {
+        console.error(`❌ Error requeueing interrupted commands: ${error.message}`);
+    }
+}
+
+// List commands for a device, newest first
+async function getCommands(deviceImei, limit = 50) {
+    return DeviceCommand.find({ deviceImei }).sort({ createdAt: -1 }).limit(limit).lean();
+}
+
+module.exports = {
+    queueCommand,
+    flushCommands,
+    handleCommandResponse,
+    releaseCommands,
+    requeueStaleCommands,
+    getCommands
+};
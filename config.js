@@ -1,119 +1,229 @@
 require('dotenv').config();
 
-// Configuration
-const DEVICE_PORT = parseInt(process.env.DEVICE_PORT) || 5005; // TCP port for TMT250 device connections
-const DEBUG_LOG = process.env.DEBUG_LOG === 'true'; // Set to false in production
-const SOCKET_TIMEOUT = parseInt(process.env.SOCKET_TIMEOUT) || 15000; // Reduced from 300000
-const KEEPALIVE_INTERVAL = parseInt(process.env.KEEPALIVE_INTERVAL) || 45000; // Add this
-const RAW_PACKET_LOG = process.env.RAW_PACKET_LOG || 'raw-packets.log'; // File to save raw packet data
-const SAVE_RAW_PACKETS = process.env.SAVE_RAW_PACKETS === 'true'; // Whether to save raw packets to disk
-
-// MongoDB Configuration
-const MONGODB_URI = process.env.MONGODB_URI;
-
-// Rate Limiting Configuration
-const MAX_CONNECTIONS = parseInt(process.env.MAX_CONNECTIONS) || 100;
-const RATE_LIMIT_REQUESTS = parseInt(process.env.RATE_LIMIT_REQUESTS) || 60;
-const RATE_LIMIT_WINDOW = parseInt(process.env.RATE_LIMIT_WINDOW) || 60000;
-
-// TMT250-specific IO Element ID mapping
-const TMT250_IO_ELEMENTS = {
-    // Digital Inputs
-    1: "din1",
-    2: "din2",
-    3: "din3", 
-    4: "din4",
-    
-    // Permanent IO elements
-    11: "ICCID",
-    14: "ICCID2",
-    17: "Axis X",
-    18: "Axis Y", 
-    19: "Axis Z",
-    21: "GSM Signal",
-    24: "Speed",
-    25: "External Voltage",
-    67: "Battery Voltage",
-    69: "GNSS Status",
-    80: { name: "Data Mode", description: "Current data mode", unit: "Enum (0-5)" },
-    113: "Battery Level",
-    116: "Charger Connected",
-    181: "GNSS PDOP",
-    182: "GNSS HDOP",
-    200: "Sleep Mode",
-    205: "GSM Cell ID",
-    206: "GSM Area Code",
-    240: "Movement",
-    241: "Active GSM Operator",
-    
-    // Geofence zones
-    155: "Geofence zone 01",
-    156: "Geofence zone 02",
-    157: "Geofence zone 03",
-    158: "Geofence zone 04",
-    159: "Geofence zone 05",
-    61: "Geofence zone 06",
-    62: "Geofence zone 07",
-    63: "Geofence zone 08",
-    64: "Geofence zone 09",
-    65: "Geofence zone 10",
-    70: "Geofence zone 11",
-    88: "Geofence zone 12",
-    91: "Geofence zone 13",
-    92: "Geofence zone 14",
-    93: "Geofence zone 15",
-    94: "Geofence zone 16",
-    95: "Geofence zone 17",
-    96: "Geofence zone 18",
-    97: "Geofence zone 19",
-    98: "Geofence zone 20",
-    99: "Geofence zone 21",
-    153: "Geofence zone 22",
-    154: "Geofence zone 23",
-    190: "Geofence zone 24",
-    191: "Geofence zone 25",
-    192: "Geofence zone 26",
-    193: "Geofence zone 27",
-    194: "Geofence zone 28",
-    195: "Geofence zone 29",
-    196: "Geofence zone 30",
-    197: "Geofence zone 31",
-    198: "Geofence zone 32",
-    208: "Geofence zone 33",
-    209: "Geofence zone 34",
-    216: "Geofence zone 35",
-    217: "Geofence zone 36",
-    218: "Geofence zone 37",
-    219: "Geofence zone 38",
-    220: "Geofence zone 39",
-    221: "Geofence zone 40",
-    222: "Geofence zone 41",
-    223: "Geofence zone 42",
-    224: "Geofence zone 43",
-    225: "Geofence zone 44",
-    226: "Geofence zone 45",
-    227: "Geofence zone 46",
-    228: "Geofence zone 47",
-    229: "Geofence zone 48",
-    230: "Geofence zone 49",
-    231: "Geofence zone 50",
-    
-    // Special events
-    175: "Auto Geofence",
-    236: "Alarm",
-    242: "ManDown",
-    255: "Over Speeding"
+const fs = require('fs');
+
+// Every setting the server reads. Values come from, in increasing priority:
+// the default below, the JSON file named by CONFIG_FILE, and the environment.
+// Settings marked reloadable are re-read from CONFIG_FILE on SIGHUP; the rest
+// (ports, files, database) only take effect on restart.
+const SCHEMA = {
+    // Listeners
+    DEVICE_PORT: { type: 'port', default: 5005 }, // TCP port for TMT250 device connections
+    UDP_ENABLED: { type: 'boolean', default: false }, // Accept AVL data over UDP as well
+    UDP_PORT: { type: 'port', default: (values) => values.DEVICE_PORT }, // UDP port for TMT250 devices in UDP mode
+    MONITORING_PORT: { type: 'port', default: 3001 }, // HTTP port for the monitoring API
+    PLAINTEXT_ENABLED: { type: 'boolean', default: true }, // Plaintext TCP listener on DEVICE_PORT; turn off to require TLS
+
+    // TLS listener for devices configured with TLS encryption
+    TLS_ENABLED: { type: 'boolean', default: false },
+    TLS_PORT: { type: 'port', default: 5006 },
+    TLS_CERT_FILE: { type: 'string', default: null }, // PEM certificate chain
+    TLS_KEY_FILE: { type: 'string', default: null }, // PEM private key
+    TLS_CERT_CHECK_INTERVAL: { type: 'integer', default: 60000, min: 1000 }, // How often to check the files for a renewed certificate
+
+    // Logging
+    DEBUG_LOG: { type: 'boolean', default: false, reloadable: true }, // Log every received packet; keep off in production
+
+    // Connections
+    SOCKET_TIMEOUT: { type: 'integer', default: 300000, min: 1000, reloadable: true }, // Close a device socket idle this long
+    DATA_TIMEOUT: { type: 'integer', default: 60000, min: 1000, reloadable: true }, // Close a socket that sends nothing for this long
+    MAX_SOCKET_BUFFER: { type: 'integer', default: 262144, min: 1024, reloadable: true }, // Max unframed bytes held per connection
+    KEEPALIVE_INTERVAL: { type: 'integer', default: 45000, min: 1000, reloadable: true }, // How often liveness is checked and lastSeen saved
+    OFFLINE_AFTER: { type: 'integer', default: 600000, min: 1000, reloadable: true }, // Silence after which a device is marked offline
+
+    // Raw packet capture
+    RAW_PACKET_LOG: { type: 'string', default: 'raw-packets.log' }, // File to save raw packet data
+    SAVE_RAW_PACKETS: { type: 'boolean', default: false }, // Whether to save raw packets to disk
+
+    // Codec 12 command channel
+    COMMAND_RESPONSE_TIMEOUT: { type: 'integer', default: 30000, min: 1000, reloadable: true }, // Wait this long for a device reply
+    COMMAND_MAX_ATTEMPTS: { type: 'integer', default: 3, min: 1, reloadable: true }, // Give up on a command after this many sends
+
+    // MongoDB
+    MONGODB_URI: { type: 'string', default: 'mongodb://localhost:27017/device_tracking', secret: true },
+    DB_RECONNECT_MAX_DELAY: { type: 'integer', default: 30000, min: 1000, reloadable: true }, // Longest wait between reconnect attempts
+
+    // Write-ahead queue for records that could not be stored while MongoDB was unreachable
+    FAILED_MESSAGES_FILE: { type: 'string', default: 'failed-messages.jsonl' },
+    QUEUE_REPLAY_INTERVAL: { type: 'integer', default: 10000, min: 1000, reloadable: true }, // How often to retry replaying the queue
+    DEAD_LETTER_FILE: { type: 'string', default: 'dead-letter.jsonl' }, // Records that can never be stored as they are, kept for inspection
+
+    // When to ack AVL packets: 'persisted' acks only once the records are stored or
+    // queued on disk, so the device resends anything we failed to keep (at-least-once);
+    // 'immediate' acks every parsed packet regardless
+    ACK_MODE: { type: 'string', values: ['persisted', 'immediate'], default: 'persisted', reloadable: true },
+
+    // Unknown devices: reject the handshake, auto-create a pending Device, or accept
+    // without one. Pending and quarantined devices have their records kept in
+    // QuarantinedRecord until an admin approves them.
+    UNKNOWN_DEVICE_MODE: { type: 'string', values: ['reject', 'provision', 'quarantine'], default: 'reject', reloadable: true },
+
+    // Monitoring API
+    ADMIN_TOKEN: { type: 'string', default: null, reloadable: true, secret: true }, // Bearer token for admin endpoints; they are disabled without one
+
+    // Admission control
+    MAX_CONNECTIONS: { type: 'integer', default: 100, min: 1, reloadable: true },
+    MAX_CONNECTIONS_PER_IP: { type: 'integer', default: 10, min: 1, reloadable: true },
+    RATE_LIMIT_REQUESTS: { type: 'integer', default: 600, min: 1, reloadable: true }, // Packets per RATE_LIMIT_WINDOW; leaves room for a device flushing its offline backlog
+    RATE_LIMIT_WINDOW: { type: 'integer', default: 60000, min: 1000, reloadable: true },
+    BAN_THRESHOLD: { type: 'integer', default: 5, min: 1, reloadable: true }, // Violations within BAN_DURATION before an IMEI, or an IP that never identified itself, is banned
+    BAN_DURATION: { type: 'integer', default: 600000, min: 1000, reloadable: true }, // 10 minutes
+
+    // Walk detection
+    WALK_MOVEMENT_SOURCE: { type: 'string', values: ['io240', 'speed', 'both'], default: 'io240', reloadable: true }, // What counts as movement: the IO 240 flag, speed, or both
+    WALK_MIN_SPEED: { type: 'number', default: 3, min: 0, reloadable: true }, // km/h above which a device counts as moving
+    WALK_START_DURATION: { type: 'integer', default: 300000, min: 0, reloadable: true }, // Movement needed before a walk path is saved
+    WALK_STOP_DURATION: { type: 'integer', default: 300000, min: 0, reloadable: true }, // Rest that ends a walk path
+    WALK_RESUME_WINDOW: { type: 'integer', default: 600000, min: 0, reloadable: true }, // Movement within this long of a stop continues the same walk, reopening it if the stop outlasted WALK_STOP_DURATION
+
+    // GPS fix quality for walk points; 0 turns a check off
+    FIX_MAX_HDOP: { type: 'number', default: 5, min: 0, reloadable: true }, // Highest HDOP (or PDOP) accepted
+    FIX_MIN_SATELLITES: { type: 'integer', default: 4, min: 0, reloadable: true },
+    FIX_MAX_SPEED: { type: 'number', default: 60, min: 0, reloadable: true }, // km/h implied by a jump from the last fix
+    FIX_SMOOTHING_WINDOW: { type: 'integer', default: 3, min: 1, reloadable: true }, // Fixes averaged per walk point; 1 turns smoothing off
+
+    TRACKER_CHECKPOINT_INTERVAL: { type: 'integer', default: 10000, min: 1000, reloadable: true } // How often changed walk tracker state is saved
 };
 
-module.exports = {
-    DEVICE_PORT,
-    DEBUG_LOG,
-    SOCKET_TIMEOUT,
-    RAW_PACKET_LOG,
-    SAVE_RAW_PACKETS,
-    MONGODB_URI,
-    TMT250_IO_ELEMENTS,
-    MAX_CONNECTIONS,
-    RATE_LIMIT_REQUESTS,
-    RATE_LIMIT_WINDOW
-}; 
\ No newline at end of file
+// Convert one raw value (a string from the environment or a JSON value from the
+// config file) to the setting's type. Returns an error message for bad values.
+function coerceValue(spec, raw) {
+    switch (spec.type) {
+        case 'boolean':
+            if (raw === true || raw === 'true' || raw === '1') return { value: true };
+            if (raw === false || raw === 'false' || raw === '0') return { value: false };
+            return { error: 'must be true or false' };
+        case 'string':
+            if (typeof raw !== 'string' || raw.trim() === '') return { error: 'must be a non-empty string' };
+            if (spec.values && !spec.values.includes(raw)) return { error: `must be one of ${spec.values.join(', ')}` };
+            return { value: raw };
+        case 'number': {
+            const value = typeof raw === 'number' ? raw : Number(raw);
+            if (!Number.isFinite(value)) return { error: 'must be a number' };
+            return { value };
+        }
+        case 'integer':
+        case 'port': {
+            const value = typeof raw === 'number' ? raw : (/^-?\d+$/.test(String(raw).trim()) ? parseInt(raw, 10) : NaN);
+            if (!Number.isInteger(value)) return { error: 'must be a whole number' };
+            if (spec.type === 'port' && (value < 0 || value > 65535)) return { error: 'must be a port between 0 and 65535' };
+            return { value };
+        }
+    }
+}
+
+function readConfigFile(file, errors) {
+    let contents;
+    try {
+        contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        errors.push(`CONFIG_FILE ${file}: ${error.message}`);
+        return {};
+    }
+
+    if (!contents || typeof contents !== 'object' || Array.isArray(contents)) {
+        errors.push(`CONFIG_FILE ${file}: must contain a JSON object`);
+        return {};
+    }
+    for (const name of Object.keys(contents)) {
+        if (!SCHEMA[name]) errors.push(`CONFIG_FILE ${file}: unknown setting ${name}`);
+    }
+    return contents;
+}
+
+// Build and validate the full configuration. Throws one error listing every
+// invalid value, so a bad deployment fails at startup rather than mid-run.
+function loadConfig() {
+    const errors = [];
+    const file = process.env.CONFIG_FILE ? readConfigFile(process.env.CONFIG_FILE, errors) : {};
+    const values = {};
+
+    for (const [name, spec] of Object.entries(SCHEMA)) {
+        let source = null;
+        let raw;
+        if (process.env[name] !== undefined && process.env[name] !== '') {
+            source = 'environment';
+            raw = process.env[name];
+        } else if (file[name] !== undefined) {
+            source = 'config file';
+            raw = file[name];
+        }
+
+        if (source === null) {
+            values[name] = typeof spec.default === 'function' ? spec.default(values) : spec.default;
+            continue;
+        }
+
+        const { value, error } = coerceValue(spec, raw);
+        if (error) {
+            errors.push(`${name} (${source}) ${error}, got ${JSON.stringify(raw)}`);
+        } else if (spec.min !== undefined && value < spec.min) {
+            errors.push(`${name} (${source}) must be at least ${spec.min}, got ${value}`);
+        } else {
+            values[name] = value;
+        }
+    }
+
+    // Settings that are only valid together
+    if (values.TLS_ENABLED && (!values.TLS_CERT_FILE || !values.TLS_KEY_FILE)) {
+        errors.push('TLS_ENABLED requires TLS_CERT_FILE and TLS_KEY_FILE');
+    }
+    if (values.PLAINTEXT_ENABLED === false && !values.TLS_ENABLED) {
+        errors.push('PLAINTEXT_ENABLED=false requires TLS_ENABLED, or devices have nothing to connect to');
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    }
+    return values;
+}
+
+let initialValues;
+try {
+    initialValues = loadConfig();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+// The exported object is shared by every module. Reloading updates it in place,
+// so code that needs reloadable settings reads them as config.NAME at use time.
+const config = { ...initialValues };
+
+// Re-read the configuration and apply changed reloadable settings. Invalid
+// configuration is reported and the current settings are kept.
+function reloadConfig() {
+    let values;
+    try {
+        values = loadConfig();
+    } catch (error) {
+        console.error(`❌ Configuration not reloaded. ${error.message}`);
+        return false;
+    }
+
+    let changes = 0;
+    for (const [name, spec] of Object.entries(SCHEMA)) {
+        if (values[name] === config[name]) continue;
+
+        // Never write secrets such as credentials to the log
+        const shown = (value) => spec.secret ? '<hidden>' : value;
+        if (spec.reloadable) {
+            console.log(`🔧 ${name}: ${shown(config[name])} → ${shown(values[name])}`);
+            config[name] = values[name];
+            changes++;
+        } else {
+            console.warn(`⚠️ ${name} changed to ${shown(values[name])} but only takes effect after a restart`);
+        }
+    }
+
+    console.log(`🔄 Configuration reloaded (${changes} setting${changes === 1 ? '' : 's'} changed)`);
+    return true;
+}
+
+// Kept off the enumerable settings so iterating the config only yields settings
+Object.defineProperties(config, {
+    SCHEMA: { value: SCHEMA },
+    reloadConfig: { value: reloadConfig }
+});
+
+module.exports = config;
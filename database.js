@@ -1,8 +1,19 @@
 const mongoose = require('mongoose');
-require('dotenv').config();
 const { calculateDistance } = require('./utils/geofenceUtils');
-
-const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/device_tracking';
+const { DEVICE_PROFILES, DEFAULT_DEVICE_MODEL, getDeviceProfile } = require('./profiles');
+const { decodeIOElements, applyPromotions } = require('./parsers');
+const { MOVEMENT_SOURCES } = require('./segmentation');
+const config = require('./config');
+const Alert = require('./models/Alert');
+const DeviceCommand = require('./models/DeviceCommand');
+const DeviceEvent = require('./models/DeviceEvent');
+const DeviceSession = require('./models/DeviceSession');
+const QuarantinedRecord = require('./models/QuarantinedRecord');
+const RejectedPoint = require('./models/RejectedPoint');
+const SegmentationProfile = require('./models/SegmentationProfile');
+const TrackerState = require('./models/TrackerState');
+
+const MONGODB_URI = config.MONGODB_URI;
 
 // Define schemas
 const deviceSchema = new mongoose.Schema({
@@ -10,6 +21,23 @@ const deviceSchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     animalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Animal' },
     lastData: { type: mongoose.Schema.Types.ObjectId, ref: 'DeviceData' },
+    model: { type: String, enum: Object.keys(DEVICE_PROFILES), default: DEFAULT_DEVICE_MODEL },
+    status: { type: String, enum: ['active', 'pending'], default: 'active' }, // Pending devices were auto-provisioned and await approval
+    online: { type: Boolean, default: false },
+    lastSeen: { type: Date }, // Last traffic from the device
+    lastIp: { type: String },
+    segmentationProfile: { type: String }, // Name of a SegmentationProfile
+    segmentation: { // Per-device overrides of the profile's walk segmentation settings
+        movementSource: { type: String, enum: MOVEMENT_SOURCES },
+        minSpeed: { type: Number, min: 0 },
+        startDuration: { type: Number, min: 0 },
+        stopDuration: { type: Number, min: 0 },
+        resumeWindow: { type: Number, min: 0 },
+        maxHdop: { type: Number, min: 0 },
+        minSatellites: { type: Number, min: 0 },
+        maxSpeed: { type: Number, min: 0 },
+        smoothingWindow: { type: Number, min: 1 }
+    },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
 }, { timestamps: true });
@@ -26,7 +54,10 @@ const deviceDataSchema = new mongoose.Schema({
     positionValid: { type: Boolean, default: false },
     timestamp: { type: Date, required: true },
     positionLatitude: { type: Number, required: true },
-    positionLongitude: { type: Number, required: true }
+    positionLongitude: { type: Number, required: true },
+    model: { type: String }, // Device model whose profile decoded the IO values
+    elements: { type: mongoose.Schema.Types.Mixed }, // Raw IO values keyed by IO ID
+    io: { type: mongoose.Schema.Types.Mixed } // Decoded IO values keyed by name, with units
 }, { timestamps: true });
 
 const walkPathSchema = new mongoose.Schema({
@@ -46,6 +77,7 @@ const walkPathSchema = new mongoose.Schema({
 // Add indexes to schemas
 // deviceSchema.index({ deviceId: 1 }, { unique: true }); // Removing duplicate index
 walkPathSchema.index({ device: 1, isActive: 1 });
+deviceDataSchema.index({ device: 1, timestamp: 1 }, { unique: true }); // One record per device and time
 
 // Create models
 const Device = mongoose.model('Device', deviceSchema);
@@ -62,29 +94,90 @@ const RETRY_CONFIG = {
 // Add connection state tracking
 let isConnected = false;
 let connectionRetries = 0;
+let reconnectTimer = null;
+let connectionHandlersRegistered = false;
+let indexesBuilt = false;
+
+// Records are removed in batches of this size when deduplicating DeviceData
+const DEDUPE_BATCH_SIZE = 1000;
+
+// Remove all but the first stored copy of each (device, timestamp) record. These
+// were left by versions that stored records before the unique index existed.
+async function dedupeDeviceData() {
+    const duplicates = DeviceData.aggregate([
+        { $group: { _id: { device: '$device', timestamp: '$timestamp' }, keep: { $min: '$_id' }, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+    ]).allowDiskUse(true).cursor();
+
+    let removed = 0;
+    let batch = [];
+    const flush = async () => {
+        if (batch.length === 0) return;
+        removed += (await DeviceData.deleteMany({ _id: { $in: batch } })).deletedCount;
+        batch = [];
+    };
+
+    for await (const group of duplicates) {
+        batch.push(...group.ids.filter(id => !id.equals(group.keep)));
+        if (batch.length >= DEDUPE_BATCH_SIZE) await flush();
+    }
+    await flush();
+    return removed;
+}
 
-// Create a map to track device states within this module
-const deviceTrackers = new Map();
-
-// Helper function to close active walk paths
-async function closeActiveWalkPaths(deviceId) {
+// Build the DeviceData indexes, first removing duplicates that would fail the
+// unique one
+async function ensureDeviceDataIndexes() {
     try {
-        const deviceInfo = await getDeviceInfoByDeviceId(deviceId);
-        if (!deviceInfo) return;
-        
-        const walkPaths = await WalkPath.find({
-            device: deviceInfo._id,
-            isActive: true
-        });
-        
-        for (const walkPath of walkPaths) {
-            walkPath.isActive = false;
-            walkPath.endTime = new Date();
-            await walkPath.save();
-            console.log(`✅ Closed walk path ${walkPath._id} for device ${deviceId}`);
-        }
+        await DeviceData.createIndexes();
+        return;
     } catch (error) {
-        console.error(`❌ Error closing walk paths: ${error.message}`);
+        if (error.code !== 11000) throw error;
+        console.warn('⚠️ DeviceData holds duplicate records, removing them before building the unique index...');
+    }
+
+    const removed = await dedupeDeviceData();
+    console.log(`🧹 Removed ${removed} duplicate DeviceData record(s)`);
+    await DeviceData.createIndexes();
+}
+
+// Collections whose lookups and upserts rely on their schema indexes
+const INDEXED_MODELS = [
+    Alert,
+    DeviceCommand,
+    DeviceEvent,
+    DeviceSession,
+    QuarantinedRecord,
+    RejectedPoint,
+    SegmentationProfile,
+    TrackerState
+];
+
+// Keep only the most recently written checkpoint of each device, so the unique
+// deviceImei index can be built over checkpoints upserted without it
+async function dedupeTrackerStates() {
+    const duplicates = await TrackerState.aggregate([
+        { $sort: { updatedAt: -1 } },
+        { $group: { _id: '$deviceImei', ids: { $push: '$_id' }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+    ]);
+    const stale = duplicates.flatMap(group => group.ids.slice(1));
+    if (stale.length === 0) return 0;
+    return (await TrackerState.deleteMany({ _id: { $in: stale } })).deletedCount;
+}
+
+async function ensureModelIndexes() {
+    for (const model of INDEXED_MODELS) {
+        try {
+            await model.createIndexes();
+        } catch (error) {
+            if (error.code !== 11000 || model !== TrackerState) {
+                throw new Error(`${model.modelName}: ${error.message}`);
+            }
+            console.warn('⚠️ TrackerState holds several checkpoints for one device, keeping the newest...');
+            console.log(`🧹 Removed ${await dedupeTrackerStates()} stale walk tracker checkpoint(s)`);
+            await model.createIndexes();
+        }
     }
 }
 
@@ -104,8 +197,28 @@ async function connectToDatabase() {
         isConnected = true;
         connectionRetries = 0;
         console.log('✅ Connected to MongoDB');
+
+        // autoIndex is off, so indexes are built here. Record deduplication needs
+        // the (device, timestamp) index and tracker checkpoints the unique IMEI one;
+        // without them data is stored twice, so don't run without them.
+        if (!indexesBuilt) {
+            try {
+                await ensureDeviceDataIndexes();
+                await ensureModelIndexes();
+                indexesBuilt = true;
+            } catch (error) {
+                console.error(`❌ Could not build indexes, refusing to run: ${error.message}`);
+                process.exit(1);
+            }
+        }
+
+        // Devices to admit should the database become unreachable again
+        await loadKnownDevices();
         
-        // Set up connection event handlers
+        // Set up connection event handlers, once across reconnects
+        if (connectionHandlersRegistered) return;
+        connectionHandlersRegistered = true;
+
         mongoose.connection.on('error', (err) => {
             console.error('❌ MongoDB connection error:', err);
             isConnected = false;
@@ -129,16 +242,24 @@ async function connectToDatabase() {
     }
 }
 
-// Function to handle connection errors with retry logic
+// Function to handle connection errors with retry logic. The server keeps running
+// while MongoDB is down (records go to the write-ahead queue), so reconnecting
+// never gives up; the delay doubles up to DB_RECONNECT_MAX_DELAY.
 async function handleConnectionError(error) {
-    if (connectionRetries < RETRY_CONFIG.maxRetries) {
-        connectionRetries++;
-        console.log(`⚠️ Attempting to reconnect to MongoDB (attempt ${connectionRetries}/${RETRY_CONFIG.maxRetries})...`);
-        setTimeout(connectToDatabase, RETRY_CONFIG.retryDelay);
-    } else {
-        console.error('❌ Max retry attempts reached. Please check your MongoDB connection.');
-        process.exit(1);
-    }
+    if (reconnectTimer) return;
+
+    connectionRetries++;
+    const delay = Math.min(RETRY_CONFIG.retryDelay * 2 ** (connectionRetries - 1), config.DB_RECONNECT_MAX_DELAY);
+    console.log(`⚠️ Attempting to reconnect to MongoDB in ${Math.round(delay / 1000)}s (attempt ${connectionRetries})...`);
+
+    reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        if (!isConnected) connectToDatabase();
+    }, delay);
+}
+
+function isDatabaseConnected() {
+    return isConnected;
 }
 
 // Function to ensure database connection
@@ -150,24 +271,72 @@ async function ensureConnection() {
     return isConnected;
 }
 
-// Function to get device info
-async function getDeviceInfoByDeviceId(deviceId) {
+// Device info of every device seen, so known devices are still admitted while the
+// database is unreachable. Filled on connect and refreshed by each lookup.
+const knownDevices = new Map();
+
+function toDeviceInfo(device) {
+    return {
+        deviceId: device.deviceId,
+        userId: device.userId,
+        animalId: device.animalId,
+        model: device.model || DEFAULT_DEVICE_MODEL,
+        status: device.status || 'active',
+        segmentationProfile: device.segmentationProfile || null,
+        segmentation: device.segmentation || null,
+        _id: device._id // Add this to get the MongoDB _id
+    };
+}
+
+// Fill the known device cache from the Device collection
+async function loadKnownDevices() {
     try {
-        const device = await Device.findOne({ deviceId }).lean();
-        if (!device) {
-            console.warn(`Device with ID ${deviceId} not found in database`);
-            return null;
+        const devices = await Device.find({}).lean();
+        knownDevices.clear();
+        for (const device of devices) {
+            knownDevices.set(device.deviceId, toDeviceInfo(device));
         }
-        return {
-            deviceId: device.deviceId,
-            userId: device.userId,
-            animalId: device.animalId,
-            _id: device._id // Add this to get the MongoDB _id
-        };
+        console.log(`📇 Cached ${knownDevices.size} known device(s)`);
+    } catch (error) {
+        console.error(`❌ Could not load known devices: ${error.message}`);
+    }
+}
+
+// Look up a device. Returns null if there is no such device, and throws if the
+// database could not be asked, so callers never mistake an outage for an unknown
+// device. While the database is unreachable, cached devices are still returned.
+async function getDeviceInfoByDeviceId(deviceId) {
+    if (!isConnected && knownDevices.has(deviceId)) {
+        return knownDevices.get(deviceId);
+    }
+
+    let device;
+    try {
+        device = await Device.findOne({ deviceId }).lean();
     } catch (error) {
-        console.error(`Error fetching device info for device ID ${deviceId}:`, error);
+        if (knownDevices.has(deviceId)) {
+            console.warn(`⚠️ Device lookup for ${deviceId} failed, using cached info: ${error.message}`);
+            return knownDevices.get(deviceId);
+        }
+        console.error(`Error fetching device info for device ID ${deviceId}: ${error.message}`);
+        throw deviceLookupError(deviceId, error);
+    }
+
+    if (!device) {
+        knownDevices.delete(deviceId);
+        console.warn(`Device with ID ${deviceId} not found in database`);
         return null;
     }
+
+    const deviceInfo = toDeviceInfo(device);
+    knownDevices.set(deviceId, deviceInfo);
+    return deviceInfo;
+}
+
+function deviceLookupError(deviceId, cause) {
+    const error = new Error(`Cannot look up device ${deviceId}: ${cause.message}`);
+    error.name = 'DeviceLookupError';
+    return error;
 }
 
 function determineMovementStatus(record) {
@@ -190,9 +359,9 @@ function determineMovementStatus(record) {
         return record.movement;
     }
     
-    // Use speed to determine movement - consider moving if speed > 3 km/h
+    // Use speed to determine movement - consider moving above WALK_MIN_SPEED
     if (record.positionSpeed !== undefined) {
-        const isMoving = record.positionSpeed > 3;
+        const isMoving = record.positionSpeed > config.WALK_MIN_SPEED;
         console.log('🔍 Using speed:', record.positionSpeed, 'km/h, Moving:', isMoving);
         return isMoving;
     }
@@ -202,102 +371,167 @@ function determineMovementStatus(record) {
     return null;
 }
 
-// Function to save device data
+// Re-decode a record parsed with another model's profile, e.g. while its device was
+// quarantined: its IO values and the fields the old profile promoted are replaced by
+// what the device's own model makes of them
+function reprofileRecord(record, profile) {
+    const reprofiled = { ...record, model: profile.model };
+    const previous = DEVICE_PROFILES[record.model];
+    if (previous) {
+        for (const { field } of Object.values(previous.promotions)) delete reprofiled[field];
+    }
+    reprofiled.io = decodeIOElements(record.elements, profile.ioElements);
+    applyPromotions(reprofiled, profile);
+    return reprofiled;
+}
+
+// Turn a parsed record into a DeviceData document, or null if it can't be stored
+function formatDeviceData(deviceDoc, deviceId, record, profile) {
+    // Decode IO values and promoted fields with the device's own model, in case the
+    // record was parsed before the model was known
+    if (record.elements && record.model !== profile.model) {
+        record = reprofileRecord(record, profile);
+    }
+
+    // Handle timestamp
+    if (!record.timestamp) {
+        console.log(`Missing timestamp for device ${deviceId}`);
+        return null;
+    }
+
+    // Check if timestamp is in seconds (if so, multiply by 1000)
+    let timestamp;
+    if (typeof record.timestamp === 'number' && record.timestamp < 10000000000) {
+        timestamp = new Date(record.timestamp * 1000);
+    } else {
+        timestamp = new Date(record.timestamp);
+    }
+
+    // Validate the timestamp
+    if (isNaN(timestamp.getTime())) {
+        console.log(`Invalid timestamp for device ${deviceId}`);
+        return null;
+    }
+
+    // Get coordinates - handle both naming conventions
+    const latitude = record.positionLatitude !== undefined ? 
+                    record.positionLatitude : record.latitude;
+    const longitude = record.positionLongitude !== undefined ? 
+                    record.positionLongitude : record.longitude;
+
+    // Improved coordinate validation - only reject if both are exactly 0 or if they're invalid
+    if ((latitude === undefined || longitude === undefined) || 
+        isNaN(latitude) || isNaN(longitude) ||
+        (latitude === 0 && longitude === 0)) {
+        console.log(`Skipping record with invalid coordinates for device ${deviceId}: lat=${latitude}, lon=${longitude}`);
+        return null;
+    }
+
+    // Calculate movement status
+    const movementStatus = determineMovementStatus(record);
+
+    // Format the record according to schema
+    return {
+        device: deviceDoc._id,
+        batteryLevel: record.batteryLevel || 0,
+        deviceName: deviceDoc.name || deviceId,
+        gnssStatus: record.gnssStatus,
+        movementStatus: movementStatus,  // This can now be null
+        positionAltitude: record.positionAltitude || record.altitude,
+        positionDirection: record.positionDirection || record.angle,
+        positionSpeed: record.positionSpeed || record.speed,
+        positionValid: record.positionValid || (latitude !== 0 && longitude !== 0),
+        timestamp,
+        positionLatitude: latitude,
+        positionLongitude: longitude,
+        model: profile.model,
+        elements: record.elements,
+        io: record.io
+    };
+}
+
+// Function to save device data. Every record of the batch is stored in one bulk
+// write; a record with the same device and timestamp as a stored one (for example
+// from a resent packet) is left as it is. Returns { inserted, duplicates, skipped },
+// with deviceNotFound set if there is no such device, or null if MongoDB could not
+// be reached. Errors retrying won't fix, such as a document MongoDB refuses, are thrown.
 async function saveDeviceData(deviceId, records) {
     try {
         if (!records || records.length === 0) {
             console.log('No records to save');
-            return;
+            return { inserted: 0, duplicates: 0, skipped: 0 };
         }
 
-        // Only take the latest record
-        const latestRecord = records[records.length - 1];
         const deviceDoc = await Device.findOne({ deviceId: deviceId });
         
         if (!deviceDoc) {
             console.log(`Device ${deviceId} not found in database`);
-            return;
+            return { inserted: 0, duplicates: 0, skipped: records.length, deviceNotFound: true };
         }
 
-        // Handle timestamp
-        let timestamp;
-        if (!latestRecord.timestamp) {
-            console.log(`Missing timestamp for device ${deviceId}`);
-            return;
-        }
+        const profile = getDeviceProfile(deviceDoc.model);
+        const documents = records
+            .map(record => formatDeviceData(deviceDoc, deviceId, record, profile))
+            .filter(Boolean);
+        const skipped = records.length - documents.length;
 
-        // Check if timestamp is in seconds (if so, multiply by 1000)
-        if (typeof latestRecord.timestamp === 'number' && latestRecord.timestamp < 10000000000) {
-            timestamp = new Date(latestRecord.timestamp * 1000);
-        } else {
-            timestamp = new Date(latestRecord.timestamp);
+        if (documents.length === 0) {
+            return { inserted: 0, duplicates: 0, skipped };
         }
 
-        // Validate the timestamp
-        if (isNaN(timestamp.getTime())) {
-            console.log(`Invalid timestamp for device ${deviceId}`);
-            return;
-        }
-
-        // Get coordinates - handle both naming conventions
-        const latitude = latestRecord.positionLatitude !== undefined ? 
-                        latestRecord.positionLatitude : latestRecord.latitude;
-        const longitude = latestRecord.positionLongitude !== undefined ? 
-                        latestRecord.positionLongitude : latestRecord.longitude;
-
-        // Improved coordinate validation - only reject if both are exactly 0 or if they're invalid
-        if ((latitude === undefined || longitude === undefined) || 
-            isNaN(latitude) || isNaN(longitude) ||
-            (latitude === 0 && longitude === 0)) {
-            console.log(`Skipping record with invalid coordinates for device ${deviceId}: lat=${latitude}, lon=${longitude}`);
-            return;
+        const result = await DeviceData.bulkWrite(documents.map(document => ({
+            updateOne: {
+                filter: { device: document.device, timestamp: document.timestamp },
+                update: { $setOnInsert: document },
+                upsert: true
+            }
+        })), { ordered: false });
+
+        const inserted = result.upsertedCount;
+        const duplicates = documents.length - inserted;
+
+        // Only move lastData forward: a late or resent batch must not replace a newer record
+        const newest = documents.reduce((latest, document) => 
+            document.timestamp > latest.timestamp ? document : latest);
+        const current = deviceDoc.lastData 
+            ? await DeviceData.findById(deviceDoc.lastData).select('timestamp').lean() 
+            : null;
+
+        if (!current || newest.timestamp > current.timestamp) {
+            const newestRecord = await DeviceData.findOne({ device: deviceDoc._id, timestamp: newest.timestamp })
+                .select('_id')
+                .lean();
+            if (newestRecord) {
+                deviceDoc.lastData = newestRecord._id;
+                await deviceDoc.save();
+            }
         }
 
-        // Calculate movement status
-        const movementStatus = determineMovementStatus(latestRecord);
-        console.log(`🔍 Movement check - Status: ${movementStatus}`);
-
-        // Log record details with calculated movement status
-        console.log('📊 Record details:', {
-            timestamp: new Date(timestamp).toLocaleString(),
-            latitude: latitude,
-            longitude: longitude,
-            movementStatus: movementStatus
-        });
-
-        // Format the record according to schema
-        const formattedRecord = {
-            device: deviceDoc._id,
-            batteryLevel: latestRecord.batteryLevel || 0,
-            deviceName: deviceDoc.name || deviceId,
-            gnssStatus: latestRecord.gnssStatus,
-            movementStatus: movementStatus,  // This can now be null
-            positionAltitude: latestRecord.positionAltitude || latestRecord.altitude,
-            positionDirection: latestRecord.positionDirection || latestRecord.angle,
-            positionSpeed: latestRecord.positionSpeed || latestRecord.speed,
-            positionValid: latestRecord.positionValid || (latitude !== 0 && longitude !== 0),
-            timestamp: new Date(timestamp),
-            positionLatitude: latitude,
-            positionLongitude: longitude
-        };
-
-        console.log(`Saving device data for ${deviceId}:`, formattedRecord);
-
-        // Create new record
-        const savedRecord = await DeviceData.create(formattedRecord);
-        
-        // Update device's lastData reference
-        deviceDoc.lastData = savedRecord._id;
-        await deviceDoc.save();
-
-        console.log(`Saved latest record for device ${deviceId} with timestamp ${timestamp.toISOString()}`);
-        return savedRecord;
+        console.log(`Saved ${inserted} record(s) for device ${deviceId} (${duplicates} duplicate, ${skipped} skipped), newest ${newest.timestamp.toISOString()}`);
+        return { inserted, duplicates, skipped };
     } catch (error) {
         console.error('Error saving device data:', error);
-        return null;
+        if (isUnreachableError(error)) return null;
+        throw error;
     }
 }
 
+// Errors that mean MongoDB could not be reached, rather than that it refused the operation
+const UNREACHABLE_ERRORS = [
+    'MongoNetworkError',
+    'MongoNetworkTimeoutError',
+    'MongoServerSelectionError',
+    'MongoNotConnectedError',
+    'MongoPoolClearedError',
+    'MongoTopologyClosedError'
+];
+
+function isUnreachableError(error) {
+    return !isConnected
+        || UNREACHABLE_ERRORS.includes(error.name)
+        || (typeof error.hasErrorLabel === 'function' && error.hasErrorLabel('RetryableWriteError'));
+}
+
 // Function to save walk path
 async function saveWalkPath(deviceId, points, isActive, startTime, endTime) {
     try {
@@ -367,102 +601,6 @@ async function saveWalkPath(deviceId, points, isActive, startTime, endTime) {
     }
 }
 
-// Function to process walk tracking
-async function processWalkTracking(deviceImei, record) {
-    try {
-        const timestamp = new Date(record.timestamp);
-        const lat = record.positionLatitude || record.latitude;
-        const lon = record.positionLongitude || record.longitude;
-
-        // Improved coordinate validation - only reject undefined, NaN, or exact 0,0 point
-        if (lat === undefined || lon === undefined || isNaN(lat) || isNaN(lon) || (lat === 0 && lon === 0)) {
-            console.error(`❌ Invalid coordinates for device ${deviceImei}: lat=${lat}, lon=${lon}`);
-            return;
-        }
-
-        // Get device tracker from our local map
-        let deviceTracker = deviceTrackers.get(deviceImei);
-        if (!deviceTracker) {
-            deviceTracker = {
-                isSaving: false,
-                lastPoint: null,
-                lastUpdate: Date.now(),
-                movementStartTime: null,
-                falseDuration: 0
-            };
-            deviceTrackers.set(deviceImei, deviceTracker);
-        }
-
-        // Update last point and timestamp
-        deviceTracker.lastPoint = { lat, lon, timestamp };
-        deviceTracker.lastUpdate = Date.now();
-
-        // Check if device is moving - use our own logic here
-        const speed = record.positionSpeed || 0;
-        const isMoving = speed > 3; // Using 3 km/h as threshold
-        
-        console.log(`🔍 Device ${deviceImei}: Speed ${speed} km/h, Moving: ${isMoving}`);
-        
-        if (isMoving) {
-            // Reset false duration counter
-            deviceTracker.falseDuration = 0;
-            
-            // Set movement start time if not already set
-            if (!deviceTracker.movementStartTime) {
-                deviceTracker.movementStartTime = timestamp;
-                console.log(`🚶‍♂️ Device ${deviceImei}: Movement started at ${timestamp.toLocaleTimeString()}`);
-            }
-            
-            // Check if we should save or create a walk path
-            if (!deviceTracker.isSaving) {
-                // Start saving after the movement has continued for some time
-                const movementDuration = timestamp - deviceTracker.movementStartTime;
-                if (movementDuration >= 30000) { // 30 seconds threshold
-                    console.log(`🛣️ Device ${deviceImei}: Starting walk path after ${Math.round(movementDuration/1000)}s of movement`);
-                    deviceTracker.isSaving = true;
-                    
-                    // Create a new walk path
-                    const result = await updateWalkPath(deviceImei, lat, lon, timestamp);
-                    if (result) {
-                        console.log(`✅ Device ${deviceImei}: Created new walk path`);
-                    } else {
-                        console.error(`❌ Device ${deviceImei}: Failed to create walk path`);
-                    }
-                }
-            } else {
-                // Update existing walk path
-                const result = await updateWalkPath(deviceImei, lat, lon, timestamp);
-                if (result) {
-                    console.log(`✅ Device ${deviceImei}: Updated walk path`);
-                } else {
-                    console.error(`❌ Device ${deviceImei}: Failed to update walk path`);
-                }
-            }
-        } else {
-            // Not moving - update falseDuration
-            if (deviceTracker.lastMovement) {
-                deviceTracker.falseDuration += timestamp - deviceTracker.lastMovement;
-            }
-            
-            // Stop tracking if inactive too long
-            if (deviceTracker.falseDuration >= 60000 && deviceTracker.isSaving) { // 1 minute
-                console.log(`🛑 Device ${deviceImei}: Stopped tracking after ${Math.round(deviceTracker.falseDuration/1000)}s idle`);
-                deviceTracker.isSaving = false;
-                deviceTracker.movementStartTime = null;
-                deviceTracker.falseDuration = 0;
-                
-                // Close any active walk paths for this device
-                await closeActiveWalkPaths(deviceImei);
-            }
-        }
-        
-        // Update last movement time
-        deviceTracker.lastMovement = timestamp;
-    } catch (error) {
-        console.error(`❌ Error in processWalkTracking for ${deviceImei}: ${error.message}`);
-    }
-}
-
 // Function to update walk path with retry logic
 async function updateWalkPath(deviceId, latitude, longitude, timestamp) {
     let retries = 0;
@@ -556,11 +694,11 @@ async function updateWalkPath(deviceId, latitude, longitude, timestamp) {
 // Export all functions
 module.exports = {
     connectToDatabase,
+    isDatabaseConnected,
     getDeviceInfoByDeviceId,
     saveDeviceData,
     saveWalkPath,
     updateWalkPath,
-    processWalkTracking,
     ensureConnection,
     Device,
     DeviceData,
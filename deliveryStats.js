@@ -0,0 +1,58 @@
+// Packets recently seen per IMEI, to recognise a packet the device sends again
+// because it never got our ack
+const RECENT_PACKETS_KEPT = 16;
+
+const recentPackets = new Map();
+const deviceStats = new Map();
+const totals = { acked: 0, unacked: 0, redelivered: 0 };
+
+function getDeviceStats(imei) {
+    if (!deviceStats.has(imei)) {
+        deviceStats.set(imei, { acked: 0, unacked: 0, redelivered: 0, lastUnackedAt: null, lastUnackedReason: null });
+    }
+    return deviceStats.get(imei);
+}
+
+// Note an incoming packet by a fingerprint of its contents. Returns true if the
+// device already sent the same packet recently.
+function recordPacket(imei, fingerprint) {
+    const recent = recentPackets.get(imei) || [];
+    const redelivered = recent.includes(fingerprint);
+
+    if (redelivered) {
+        getDeviceStats(imei).redelivered++;
+        totals.redelivered++;
+        console.log(`🔁 Redelivered packet from ${imei} (${fingerprint})`);
+    } else {
+        recent.push(fingerprint);
+        recentPackets.set(imei, recent.slice(-RECENT_PACKETS_KEPT));
+    }
+    return redelivered;
+}
+
+function recordAck(imei) {
+    getDeviceStats(imei).acked++;
+    totals.acked++;
+}
+
+// A packet whose records could not be stored is left unacked so the device resends it
+function recordUnacked(imei, reason) {
+    const stats = getDeviceStats(imei);
+    stats.unacked++;
+    stats.lastUnackedAt = new Date();
+    stats.lastUnackedReason = reason;
+    totals.unacked++;
+    console.warn(`⏸️ Withholding ack from ${imei}: ${reason} (${stats.unacked} unacked)`);
+}
+
+function getDeliveryStats(imei) {
+    if (imei) return deviceStats.get(imei) || null;
+    return { ...totals, devices: Object.fromEntries(deviceStats) };
+}
+
+module.exports = {
+    recordPacket,
+    recordAck,
+    recordUnacked,
+    getDeliveryStats
+};
@@ -1,19 +1,37 @@
 const net = require('net');
 const { 
     getDeviceInfoByDeviceId, 
-    saveDeviceData, 
     saveWalkPath, 
     updateWalkPath: dbUpdateWalkPath,
     WalkPath,
     ensureConnection
 } = require('./database');
-const { parseTeltonikaData } = require('./parsers');
+const { parseTeltonikaData, verifyAvlPacket, CODEC_12 } = require('./parsers');
+const { safeSocketWrite } = require('./utils');
+const { getDeviceProfile } = require('./profiles');
+const { createStreamFramer } = require('./streamFramer');
+const { startCapture, capturePacket, endCapture } = require('./packetCapture');
+const { processAlerts } = require('./alerts');
+const { splitLateRecords, reconstructWalks } = require('./backlog');
+const { stepSegmentation } = require('./segmentation');
+const { checkpointTracker, restoreTracker } = require('./trackerState');
+const { recordRejectedPoint } = require('./rejectedPoints');
+const { getSegmentationSettings } = require('./segmentationProfiles');
+const { persistRecords } = require('./writeAheadQueue');
+const { recordPacket, recordAck, recordUnacked } = require('./deliveryStats');
+const { startTlsServer, describeTlsSession } = require('./tlsServer');
+const { markSeen, recordTakeover } = require('./liveness');
+const { openSession, closeSession } = require('./sessionHistory');
+const { admitConnection, releaseConnection, allowPacket, isBanned, isImeiBanned } = require('./admissionControl');
+const { admitUnknownDevice, isQuarantined, quarantineRecords } = require('./quarantine');
+const {
+    queueCommand,
+    flushCommands,
+    handleCommandResponse,
+    releaseCommands
+} = require('./commandQueue');
 const { calculateDistance } = require('./utils/geofenceUtils');
-
-// Configuration
-const DEVICE_PORT = 5005;
-const SOCKET_TIMEOUT = 300000; // 5 minutes
-const DEBUG_LOG = true;
+const config = require('./config');
 
 // Retry configuration for database operations
 const RETRY_CONFIG = {
@@ -22,223 +40,379 @@ const RETRY_CONFIG = {
     timeout: 5000 // 5 seconds
 };
 
-// Track server start time
-const SERVER_START_TIME = Date.now();
-
 // Track active devices and their movement
 const activeDevices = new Map();
 const movementTracker = {};
-const pendingPoints = {};
 
-// Create TCP server
-const server = net.createServer((socket) => {
+// Count AVL packets rejected for failed CRC or record-count checks, per IMEI
+const packetRejections = new Map();
+
+// Last decoded record per IMEI, from any transport
+const lastRecords = new Map();
+
+// Recent session takeovers per IMEI, oldest first
+const sessionTakeovers = new Map();
+const MAX_TAKEOVERS_KEPT = 20;
+
+// Whether this socket is the device's current session, rather than one that was superseded
+function isCurrentSession(socket) {
+    const session = socket.deviceImei && activeDevices.get(socket.deviceImei);
+    return !!session && session.socket === socket;
+}
+
+// Decode a connected device's records with a new model from now on, e.g. once an
+// admin has approved it with one
+function setDeviceModel(imei, model) {
+    const session = activeDevices.get(imei);
+    if (!session) return;
+
+    session.socket.deviceProfile = getDeviceProfile(model);
+    session.model = session.socket.deviceProfile.model;
+}
+
+// Make the socket the current session for its IMEI. A device reconnecting before its
+// old socket timed out takes over: the old socket is closed and its in-flight command
+// is released so it can be resent on the new one. Tracker state is keyed by IMEI and
+// carries over as is.
+async function registerSession(socket, clientIP) {
+    const imei = socket.deviceImei;
+    const previous = activeDevices.get(imei);
+    let takeovers = 0;
+
+    if (previous && previous.socket !== socket) {
+        takeovers = (previous.takeovers || 0) + 1;
+
+        const takeover = {
+            at: new Date(),
+            previousIp: previous.ip,
+            previousConnectedAt: previous.connectedAt,
+            previousLastActivity: previous.lastActivity,
+            newIp: clientIP
+        };
+        const history = sessionTakeovers.get(imei) || [];
+        history.push(takeover);
+        sessionTakeovers.set(imei, history.slice(-MAX_TAKEOVERS_KEPT));
+
+        console.warn(`🔀 Session takeover for ${imei}: ${previous.ip} (connected ${previous.connectedAt.toISOString()}) replaced by ${clientIP}`);
+
+        previous.socket.closeReason = 'takeover';
+        previous.socket.destroy();
+        await releaseCommands(imei, previous.socket);
+
+        // Not awaited: the handshake ack shouldn't wait on the event write
+        recordTakeover(imei, clientIP);
+    }
+
+    activeDevices.set(imei, {
+        socket,
+        imei,
+        model: socket.deviceProfile.model,
+        ip: clientIP,
+        connectedAt: new Date(),
+        lastActivity: new Date(),
+        stats: socket.stats,
+        tls: socket.tls,
+        takeovers
+    });
+}
+
+// Handle one device connection, plaintext or TLS
+function handleConnection(socket) {
     const clientIP = socket.remoteAddress;
+
+    // Enforce connection caps and bans before doing any work for this socket
+    const admission = admitConnection(clientIP);
+    if (!admission.allowed) {
+        socket.destroy();
+        return;
+    }
+    socket.on('close', () => releaseConnection(clientIP));
     
     // Initialize socket properties
-    socket.dataBuffer = Buffer.alloc(0);
     socket.deviceImei = null;
+    socket.admitted = false; // Set once the IMEI handshake has been accepted
     socket.lastActivity = Date.now();
     socket.timeoutHandler = null;
+    socket.closeReason = null;
+    socket.closeError = null;
+    socket.connectedAt = new Date();
+    socket.tls = describeTlsSession(socket);
+    socket.stats = {
+        bytesReceived: 0,
+        bytesSent: 0,
+        packetsReceived: 0,
+        packetsSent: 0,
+        parseFailures: 0,
+        recordsReceived: 0,
+        recordsAccepted: 0
+    };
+
+    // Record raw traffic for replay when SAVE_RAW_PACKETS is enabled
+    startCapture(socket);
 
     // Connection management improvements
     const connectionTimeouts = {};
     const reconnectAttempts = {};
     const MAX_RECONNECT_ATTEMPTS = 5;
 
-    const processBuffer = async () => {
+    // Split the byte stream into IMEI, AVL and JSON frames
+    socket.framer = createStreamFramer({
+        onDiscard: (length, reason) => {
+            socket.stats.parseFailures++;
+            console.warn(`🗑️ Discarded ${length} bytes (${reason}) from ${socket.deviceImei || clientIP}`);
+        }
+    });
+
+    // Frames are handled one at a time, in the order they arrived
+    socket.processing = Promise.resolve();
+
+    // Every frame counts against the rate limit, charged to the IMEI the socket has
+    // identified as so far (its IP before the handshake). Frames over the limit are
+    // dropped without an ack; the socket is closed once its IMEI or IP is banned.
+    const overRateLimit = () => {
+        if (allowPacket(socket.deviceImei, clientIP)) return false;
+
+        if (isBanned(clientIP) || (socket.deviceImei && isImeiBanned(socket.deviceImei))) {
+            socket.closeReason = 'banned';
+            socket.destroy();
+        }
+        return true;
+    };
+
+    const handleImeiFrame = async (frame) => {
+        if (overRateLimit()) return;
+
+        if (isImeiBanned(frame.imei)) {
+            console.warn(`⛔ Device ${frame.imei} is banned for exceeding the rate limit. Closing connection.`);
+            socket.closeReason = 'banned';
+            socket.end();
+            return;
+        }
+
+        socket.deviceImei = frame.imei;
+        openSession(socket);
+        console.log(`📱 Device connected - IMEI: ${socket.deviceImei}${socket.tls ? ` over ${socket.tls.protocol}` : ''} at ${new Date().toISOString()}`);
+
+        let deviceInfo;
         try {
-            // Ensure dataBuffer is always initialized
-            if (!socket.dataBuffer) {
-                socket.dataBuffer = Buffer.alloc(0);
-                return;
+            deviceInfo = await getDeviceInfoByDeviceId(socket.deviceImei);
+            if (!deviceInfo || deviceInfo.status === 'pending') {
+                // Unknown and pending devices are accepted into quarantine, unless UNKNOWN_DEVICE_MODE rejects them
+                deviceInfo = await admitUnknownDevice(socket.deviceImei, deviceInfo);
             }
-    
-            // Don't process if the buffer is too small
-            if (socket.dataBuffer.length < 2) return;
-            // Check for IMEI packet
-            if (isImeiPacket(socket.dataBuffer)) {
-                socket.deviceImei = parseImeiPacket(socket.dataBuffer);
-                console.log(`📱 Device connected - IMEI: ${socket.deviceImei} at ${new Date().toISOString()}`);
-
-                const deviceInfo = await getDeviceInfoByDeviceId(socket.deviceImei);
-                if (!deviceInfo) {
-                    console.warn(`⚠️ Unknown device: ${socket.deviceImei}. Closing connection.`);
-                    socket.end();
-                    return;
-                }
+        } catch (error) {
+            // Whether the device is known can't be told; it reconnects later
+            console.error(`❌ Cannot admit device ${socket.deviceImei}: ${error.message}. Closing connection.`);
+            socket.closeReason = 'error';
+            socket.closeError = error.message;
+            socket.end();
+            return;
+        }
+        if (!deviceInfo) {
+            console.warn(`⚠️ Unknown device: ${socket.deviceImei}. Closing connection.`);
+            socket.closeReason = 'rejected';
+            socket.end();
+            return;
+        }
 
-                activeDevices.set(socket.deviceImei, {
-                    socket,
-                    imei: socket.deviceImei,
-                    ip: clientIP,
-                    connectedAt: new Date(),
-                    lastActivity: new Date()
-                });
+        // Decode this device's IO elements according to its model
+        socket.deviceProfile = getDeviceProfile(deviceInfo.model);
 
-                // Initialize movement tracker for this device
-                if (!movementTracker[socket.deviceImei]) {
-                    movementTracker[socket.deviceImei] = {
-                        isSaving: false,
-                        lastPoint: null,
-                        lastUpdate: Date.now(),
-                        movementStartTime: null,
-                        falseDuration: 0,
-                        pendingPoints: [], // Store points before DB saving starts
-                        activeWalkPathId: null, // Track the active walk path ID
-                        walkPathFinished: false, // Track if the current walk path is finished
-                        lastMovementState: false,
-                        lastStopTime: null
-                    };
-                }
+        await registerSession(socket, clientIP);
+        markSeen(socket.deviceImei, clientIP);
 
-                // Initialize pending points array
-                if (!pendingPoints[socket.deviceImei]) {
-                    pendingPoints[socket.deviceImei] = [];
-                    console.log(`🆕 Initialized pending points array for ${socket.deviceImei}`);
-                }
+        // Start restoring the movement tracker checkpointed before a restart; records
+        // wait for it, the handshake ack doesn't
+        getTracker(socket.deviceImei);
 
-                safeSocketWrite(socket, Buffer.from([0x01]), socket.deviceImei);
-                const imeiLength = socket.dataBuffer.readUInt16BE(0);
-                socket.dataBuffer = socket.dataBuffer.slice(2 + imeiLength);
+        socket.admitted = true;
+        safeSocketWrite(socket, Buffer.from([0x01]), socket.deviceImei);
 
-                if (socket.dataBuffer.length > 0) await processBuffer();
-            } else {
-                // Try to parse as JSON first
-                try {
-                    const jsonData = JSON.parse(socket.dataBuffer.toString());
-                    console.log(`📦 Received JSON data from ${socket.deviceImei}:`, jsonData);
-                    
-                    // Process the JSON data
-                    const record = {
-                        deviceImei: socket.deviceImei,
-                        deviceId: socket.deviceImei,
-                        timestamp: jsonData.timestamp,
-                        positionLatitude: jsonData.positionLatitude || jsonData.latitude,
-                        positionLongitude: jsonData.positionLongitude || jsonData.longitude,
-                        movementStatus: jsonData.movementStatus,
-                        positionSpeed: jsonData.positionSpeed,
-                        positionValid: jsonData.positionValid,
-                        positionAltitude: jsonData.positionAltitude,
-                        positionDirection: jsonData.positionDirection,
-                        batteryLevel: jsonData.batteryLevel,
-                        gnssStatus: jsonData.gnssStatus
-                    };
-
-                    // Process walk tracking
-                    await processWalkTracking(socket.deviceImei, record);
-                    
-                    // Save device data
-                    try {
-                        await saveDeviceData(socket.deviceImei, [record]);
-                        console.log(`✅ Saved device data for ${socket.deviceImei}`);
-                    } catch (error) {
-                        console.error(`❌ Failed to save device data for ${socket.deviceImei}:`, error.message);
-                    }
-
-                    // Clear the buffer
-                    socket.dataBuffer = Buffer.alloc(0);
-                } catch (e) {
-                    // Not JSON data, try Teltonika parsing
-                    if (socket.dataBuffer.length >= 8) {
-                        const preamble = socket.dataBuffer.readUInt32BE(0);
-                        if (preamble !== 0) {
-                            socket.dataBuffer = socket.dataBuffer.slice(1);
-                            if (socket.dataBuffer.length > 0) await processBuffer();
-                            return;
-                        }
-
-                        const dataLength = socket.dataBuffer.readUInt32BE(4);
-                        const totalLength = 8 + dataLength + 4;
-
-                        if (socket.dataBuffer.length >= totalLength) {
-                            const fullPacket = socket.dataBuffer.slice(0, totalLength);
-                            const records = parseTeltonikaData(fullPacket, socket.deviceImei);
-
-                            if (records.length > 0) {
-                                // Filter records to only include those newer than server start
-                                const newRecords = records.filter(record => {
-                                    const recordTime = new Date(record.timestamp).getTime();
-                                    return recordTime > SERVER_START_TIME;
-                                });
-
-                                if (newRecords.length > 0) {
-                                    // Process each record for walk tracking
-                                    for (const record of newRecords) {
-                                        await processWalkTracking(socket.deviceImei, record);
-                                    }
-                                    
-                                    try {
-                                        await saveDeviceData(socket.deviceImei, newRecords);
-                                        console.log(`✅ Saved latest record for ${socket.deviceImei}`);
-                                    } catch (error) {
-                                        console.error(`❌ Failed to save records for ${socket.deviceImei}:`, error.message);
-                                    }
-                                }
-
-                                const ackBuffer = Buffer.alloc(4);
-                                ackBuffer.writeUInt32BE(records.length, 0);
-                                safeSocketWrite(socket, ackBuffer, socket.deviceImei);
-                            }
-
-                            socket.dataBuffer = socket.dataBuffer.slice(totalLength);
-                            if (socket.dataBuffer.length > 0) await processBuffer();
-                        }
-                    }
-                }
+        // Deliver commands queued while the device was offline
+        flushCommands(socket.deviceImei, socket);
+    };
+
+    const handleJsonFrame = async (frame) => {
+        if (overRateLimit()) return;
+
+        const jsonData = frame.data;
+        console.log(`📦 Received JSON data from ${socket.deviceImei}:`, jsonData);
+
+        // Process the JSON data
+        const record = {
+            deviceImei: socket.deviceImei,
+            deviceId: socket.deviceImei,
+            timestamp: jsonData.timestamp,
+            positionLatitude: jsonData.positionLatitude || jsonData.latitude,
+            positionLongitude: jsonData.positionLongitude || jsonData.longitude,
+            movementStatus: jsonData.movementStatus,
+            positionSpeed: jsonData.positionSpeed,
+            positionValid: jsonData.positionValid,
+            positionAltitude: jsonData.positionAltitude,
+            positionDirection: jsonData.positionDirection,
+            batteryLevel: jsonData.batteryLevel,
+            gnssStatus: jsonData.gnssStatus
+        };
+
+        if (isQuarantined(socket.deviceImei)) {
+            await quarantineRecords(socket.deviceImei, [record]);
+            return;
+        }
+
+        // Process walk tracking
+        await processWalkTracking(socket.deviceImei, record);
+
+        // Save device data, queueing it while the database is unreachable
+        try {
+            await persistRecords(socket.deviceImei, [record]);
+        } catch (error) {
+            console.error(`❌ Failed to save device data for ${socket.deviceImei}:`, error.message);
+        }
+    };
+
+    const handleAvlFrame = async (frame) => {
+        const fullPacket = frame.raw;
+        socket.stats.packetsReceived++;
+
+        if (overRateLimit()) return;
+
+        // Drop corrupted packets without acking so the device resends them
+        const verification = verifyAvlPacket(fullPacket);
+        if (!verification.valid) {
+            socket.stats.parseFailures++;
+            recordPacketRejection(socket.deviceImei, verification.reason);
+            return;
+        }
+
+        // Codec 12 packets are responses to our GPRS commands, not AVL data
+        if (frame.codecId === CODEC_12) {
+            await handleCommandResponse(socket.deviceImei, fullPacket, socket);
+            return;
+        }
+
+        const records = parseTeltonikaData(fullPacket, socket.deviceImei, socket.deviceProfile);
+
+        // The packet arrived intact but none of its records decode; a resend would be
+        // the same bytes, so it is acked with its own record count to stop the device
+        // retrying it forever, and counted as a rejection
+        if (records.length === 0) {
+            socket.stats.parseFailures++;
+            recordPacketRejection(socket.deviceImei, 'unparsable', 'acking it');
+            recordAck(socket.deviceImei);
+            const ackBuffer = Buffer.alloc(4);
+            ackBuffer.writeUInt32BE(fullPacket[9], 0);
+            safeSocketWrite(socket, ackBuffer, socket.deviceImei);
+            return;
+        }
+
+        socket.stats.recordsReceived += records.length;
+
+        // A packet identical to a recent one was resent, usually because we withheld its ack
+        recordPacket(socket.deviceImei, `${fullPacket.length}:${fullPacket.readUInt32BE(fullPacket.length - 4)}`);
+
+        const persisted = await processAvlRecords(socket.deviceImei, records);
+        if (!persisted && config.ACK_MODE === 'persisted') {
+            recordUnacked(socket.deviceImei, 'records not stored');
+            return;
+        }
+
+        socket.stats.recordsAccepted += records.length;
+        recordAck(socket.deviceImei);
+        const ackBuffer = Buffer.alloc(4);
+        ackBuffer.writeUInt32BE(records.length, 0);
+        safeSocketWrite(socket, ackBuffer, socket.deviceImei);
+
+        // The device is awake and listening right after an ack
+        flushCommands(socket.deviceImei, socket);
+    };
+
+    const processFrame = async (frame) => {
+        // Nothing more to do once the connection is being closed
+        if (socket.destroyed || socket.writableEnded) return;
+
+        // Data is only taken from a device whose IMEI has been accepted; without one it
+        // could be neither attributed nor acked
+        if (frame.type !== 'imei' && !socket.admitted) {
+            socket.stats.parseFailures++;
+            console.warn(`⚠️ ${frame.type.toUpperCase()} frame from ${clientIP} before an accepted IMEI handshake. Closing connection.`);
+            socket.closeReason = 'rejected';
+            socket.end();
+            return;
+        }
+
+        try {
+            switch (frame.type) {
+                case 'imei':
+                    await handleImeiFrame(frame);
+                    break;
+                case 'json':
+                    await handleJsonFrame(frame);
+                    break;
+                case 'avl':
+                    await handleAvlFrame(frame);
+                    break;
             }
         } catch (error) {
-            console.error(`❌ Error in processBuffer: ${error.message}`);
-            socket.dataBuffer = Buffer.alloc(0);
+            socket.stats.parseFailures++;
+            console.error(`❌ Error processing ${frame.type} frame from ${socket.deviceImei || clientIP}: ${error.message}`);
         }
     };
 
-    // Timeout if the device doesn't send data within 1 minute
+    // Timeout if the device doesn't send data within DATA_TIMEOUT
     socket.timeoutHandler = setTimeout(() => {
         console.log(`⏱️ No data received from ${socket.deviceImei || 'unknown device'}`);
+        socket.closeReason = socket.closeReason || 'timeout';
         socket.end();
-    }, 60000);
+    }, config.DATA_TIMEOUT);
 
-    socket.setTimeout(SOCKET_TIMEOUT);
+    socket.setTimeout(config.SOCKET_TIMEOUT);
 
     socket.on('timeout', () => {
         console.log(`⏱️ Connection timed out: ${socket.deviceImei || 'unknown device'}`);
+        socket.closeReason = socket.closeReason || 'timeout';
         socket.end();
     });
 
     socket.on('data', async (data) => {
         try {
             socket.lastActivity = Date.now();
+            socket.stats.bytesReceived += data.length;
             clearTimeout(socket.timeoutHandler);
+            capturePacket(socket, 'in', data);
+
+            if (isCurrentSession(socket)) {
+                activeDevices.get(socket.deviceImei).lastActivity = new Date();
+                markSeen(socket.deviceImei, clientIP);
+            }
     
-            if (DEBUG_LOG) {
+            if (config.DEBUG_LOG) {
                 console.log(`📩 Received ${data.length} bytes from ${socket.deviceImei || 'new connection'} at ${new Date().toISOString()}`);
             }
     
-            // Ensure dataBuffer is always properly initialized
-            if (!socket.dataBuffer) {
-                socket.dataBuffer = Buffer.alloc(0);
-            }
-            
-            // Create a new buffer with the existing data and new data
-            const newBuffer = Buffer.concat([socket.dataBuffer, data]);
-            socket.dataBuffer = newBuffer;
-            
-            await processBuffer();
+            // Queue the complete frames behind any still being processed
+            const frames = socket.framer.push(data);
+            socket.processing = socket.processing.then(async () => {
+                for (const frame of frames) {
+                    await processFrame(frame);
+                }
+            });
+            await socket.processing;
     
             // Reset timeout
             socket.timeoutHandler = setTimeout(() => {
                 console.log(`⏱️ No data received from ${socket.deviceImei || 'unknown device'}`);
+                socket.closeReason = socket.closeReason || 'timeout';
                 socket.end();
-            }, 60000);
+            }, config.DATA_TIMEOUT);
         } catch (error) {
             console.error(`❌ Error processing data: ${error.message}`);
-            // Reset buffer to prevent further errors from corrupted data
-            socket.dataBuffer = Buffer.alloc(0);
         }
     });
 
     socket.on('error', (err) => {
         console.error(`❌ Connection error (${socket.deviceImei || 'unknown'}): ${err.message}`);
+        socket.closeReason = socket.closeReason || 'error';
+        socket.closeError = socket.closeError || err.message;
         
         // Close socket if still open
         if (!socket.destroyed) {
@@ -251,8 +425,8 @@ const server = net.createServer((socket) => {
         
         // Clean up the connection
         if (socket.deviceImei) {
-            // Remove from active devices
-            if (activeDevices.has(socket.deviceImei)) {
+            // Remove from active devices, unless a newer socket has taken over
+            if (isCurrentSession(socket)) {
                 activeDevices.delete(socket.deviceImei);
             }
             
@@ -284,8 +458,11 @@ const server = net.createServer((socket) => {
 
     socket.on('close', () => {
         console.log(`🔌 Device disconnected: ${socket.deviceImei || 'unknown'}`);
+        endCapture(socket, socket.closeReason || 'closed');
+        closeSession(socket);
         
-        if (socket.deviceImei && activeDevices.has(socket.deviceImei)) {
+        // A superseded socket must not evict the session that replaced it
+        if (isCurrentSession(socket)) {
             activeDevices.delete(socket.deviceImei);
         }
         
@@ -294,166 +471,122 @@ const server = net.createServer((socket) => {
         // If this was a clean close, reset reconnect attempts
         if (socket.deviceImei) {
             reconnectAttempts[socket.deviceImei] = 0;
+            releaseCommands(socket.deviceImei, socket);
         }
     });
-});
+}
 
-// Improved walk tracking process with better error handling
-async function processWalkTracking(deviceImei, record) {
+// Plaintext TCP server; the TLS listener shares the same connection handler
+const server = net.createServer(handleConnection);
+
+// Run decoded AVL records through storage, walk tracking and alerts. Shared by the
+// TCP and UDP transports. Returns whether the records were stored (or queued on
+// disk), which decides whether the packet may be acked.
+async function processAvlRecords(deviceImei, records, transport = 'tcp') {
+    // Records buffered while the device was offline or the server was down are
+    // history like any other; handle every batch in chronological order
+    const sortedRecords = [...records].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const latestRecord = sortedRecords[sortedRecords.length - 1];
+    const previousRecord = lastRecords.get(deviceImei);
+    if (!previousRecord || new Date(latestRecord.timestamp) >= new Date(previousRecord.timestamp)) {
+        lastRecords.set(deviceImei, latestRecord);
+    }
+
+    // Unapproved devices only have their records kept for later import
+    if (isQuarantined(deviceImei)) {
+        return (await quarantineRecords(deviceImei, sortedRecords, transport)) !== null;
+    }
+
+    // Stored now, or queued on disk while the database is unreachable
+    let persisted = true;
     try {
-        const timestamp = new Date(record.timestamp);
-        const lat = record.positionLatitude || record.latitude;
-        const lon = record.positionLongitude || record.longitude;
+        await persistRecords(deviceImei, sortedRecords, transport);
+    } catch (error) {
+        persisted = false;
+        console.error(`❌ Failed to save records for ${deviceImei}:`, error.message);
+    }
 
-        // Validate coordinates
-        if (!lat || !lon || isNaN(lat) || isNaN(lon) || lat === 0 || lon === 0) {
-            console.error(`❌ Invalid coordinates for device ${deviceImei}: lat=${lat}, lon=${lon}`);
-            return;
-        }
+    // In at-least-once mode the packet will be resent; track it then, so the
+    // resent records aren't mistaken for late ones
+    if (!persisted && config.ACK_MODE === 'persisted') return false;
+
+    // Records older than the live tracker's last point must not be fed to it
+    const { liveRecords, lateRecords } = splitLateRecords(sortedRecords, await getTracker(deviceImei));
+
+    for (const record of liveRecords) {
+        await processWalkTracking(deviceImei, record);
+    }
+
+    if (lateRecords.length > 0) {
+        console.log(`🕰️ Device ${deviceImei}: ${lateRecords.length} late record(s), reconstructing their walks`);
+        await reconstructWalks(deviceImei, lateRecords, movementTracker[deviceImei]);
+    }
+
+    // Raise or resolve Alarm, ManDown and Over Speeding alerts. Late records are
+    // older than the alert state already applied, so only live ones count.
+    await processAlerts(deviceImei, liveRecords);
+    return persisted;
+}
 
-        // Get device tracker from our local map
-        let deviceTracker = movementTracker[deviceImei];
-        if (!deviceTracker) {
-            deviceTracker = {
-                isSaving: false,
-                lastPoint: null,
-                lastUpdate: Date.now(),
-                movementStartTime: null,
-                falseDuration: 0,
-                pendingPoints: [],
-                activeWalkPathId: null,
-                walkPathFinished: false,
-                lastMovementState: false,
-                lastStopTime: null
-            };
-            movementTracker[deviceImei] = deviceTracker;
-            console.log(`🆕 Initialized movement tracker for device ${deviceImei}`);
+// The device's movement tracker, restored from its checkpoint after a restart.
+// A tracker whose checkpoint couldn't be read is replaced as soon as it can be.
+async function getTracker(deviceImei) {
+    const current = movementTracker[deviceImei];
+    if (!current || current.restored === false) {
+        const tracker = await restoreTracker(deviceImei);
+        // Another record may have restored it in the meantime
+        const latest = movementTracker[deviceImei];
+        if (!latest || (latest.restored === false && tracker.restored !== false)) {
+            movementTracker[deviceImei] = tracker;
         }
+    }
+    return movementTracker[deviceImei];
+}
 
-        // Update last point and timestamp
-        deviceTracker.lastPoint = { lat, lon, timestamp };
-        deviceTracker.lastUpdate = Date.now();
+// Feed one record to the device's segmentation engine and carry out the walk
+// path changes it asks for
+async function processWalkTracking(deviceImei, record) {
+    try {
+        const settings = await getSegmentationSettings(deviceImei);
+        const tracker = await getTracker(deviceImei);
+        const { state, actions } = stepSegmentation(tracker, record, settings);
+        movementTracker[deviceImei] = state;
 
-        // Get movement status from the record
-        const isMoving = record.movementStatus === true || record.movement === true;
-        
-        console.log(`🔍 Device ${deviceImei}: Movement Status: ${isMoving}, Raw Status: ${record.movementStatus}, Raw Movement: ${record.movement}`);
-        
-        // Check for movement state change
-        if (isMoving !== deviceTracker.lastMovementState) {
-            console.log(`🔄 Device ${deviceImei}: Movement state changed from ${deviceTracker.lastMovementState} to ${isMoving}`);
-            deviceTracker.lastMovementState = isMoving;
-            
-            if (!isMoving) {
-                // Movement stopped - start counting false duration and record stop time
-                deviceTracker.falseDuration = 0;
-                deviceTracker.lastMovement = timestamp;
-                deviceTracker.lastStopTime = timestamp;
-            } else {
-                // Movement started - check if we should continue existing path
-                const timeSinceLastStop = deviceTracker.lastStopTime ? 
-                    timestamp - deviceTracker.lastStopTime : 
-                    Infinity;
-                
-                if (timeSinceLastStop <= 300000 && deviceTracker.movementStartTime) { // 5 minutes window
-                    console.log(`🔄 Device ${deviceImei}: Movement resumed within 5 minutes, continuing existing path`);
-                    deviceTracker.falseDuration = 0;
-                    deviceTracker.walkPathFinished = false;
-                } else {
-                    // Start new tracking
-                    deviceTracker.movementStartTime = timestamp;
-                    deviceTracker.pendingPoints = [];
-                    deviceTracker.falseDuration = 0;
-                    deviceTracker.walkPathFinished = false;
-                    console.log(`🚶‍♂️ Device ${deviceImei}: Movement started at ${timestamp.toLocaleTimeString()}`);
-                }
-            }
+        if (state === tracker) {
+            console.log(`⏭️ Device ${deviceImei}: Record at ${record.timestamp} skipped by walk tracking (no position or out of order)`);
+            return;
         }
-        
-        if (isMoving) {
-            // Add point to pending points array
-            deviceTracker.pendingPoints.push({
-                latitude: lat,
-                longitude: lon,
-                timestamp: timestamp
-            });
-            
-            console.log(`📝 Device ${deviceImei}: Added point to pending points. Total pending points: ${deviceTracker.pendingPoints.length}`);
-            
-            // Check if we should start saving to DB (after 5 minutes of movement)
-            const movementDuration = timestamp - deviceTracker.movementStartTime;
-            if (movementDuration >= 300000 && !deviceTracker.isSaving) { // 5 minutes threshold
-                console.log(`🛣️ Device ${deviceImei}: Starting DB saving after ${Math.round(movementDuration/1000)}s of movement`);
-                deviceTracker.isSaving = true;
-                
-                // Save all pending points to DB
-                if (deviceTracker.pendingPoints.length > 0) {
-                    const result = await saveWalkPath(
-                        deviceImei,
-                        deviceTracker.pendingPoints,
-                        true,
-                        deviceTracker.pendingPoints[0].timestamp,
-                        null
-                    );
-                    
-                    if (result) {
-                        console.log(`✅ Device ${deviceImei}: Created walk path with ${deviceTracker.pendingPoints.length} initial points`);
-                        deviceTracker.activeWalkPathId = result._id;
-                        deviceTracker.pendingPoints = [];
-                    } else {
-                        console.error(`❌ Device ${deviceImei}: Failed to create initial walk path`);
-                    }
-                }
-            } else if (deviceTracker.isSaving) {
-                // Update existing walk path
-                const result = await updateWalkPath(deviceImei, lat, lon, timestamp);
-                if (result) {
-                    console.log(`✅ Device ${deviceImei}: Updated walk path with new point. Total points: ${result.coordinates.length}`);
-                } else {
+
+        for (const action of actions) {
+            if (action.type === 'startWalk') {
+                console.log(`🛣️ Device ${deviceImei}: Starting walk path after ${Math.round((action.points[action.points.length - 1].timestamp - action.startTime) / 1000)}s of movement`);
+                const walkPath = await createWalkPathWithInitialPoints(deviceImei, action.points);
+                state.activeWalkPathId = walkPath ? walkPath._id : null;
+            } else if (action.type === 'appendPoint') {
+                const { latitude, longitude, timestamp } = action.point;
+                const result = await updateWalkPath(deviceImei, latitude, longitude, timestamp);
+                if (!result) {
                     console.error(`❌ Device ${deviceImei}: Failed to update walk path`);
                 }
-            } else {
-                console.log(`⏳ Device ${deviceImei}: Collecting points before DB saving starts. Movement duration: ${Math.round(movementDuration/1000)}s`);
-            }
-        } else {
-            // Not moving - update falseDuration
-            if (deviceTracker.lastMovement) {
-                deviceTracker.falseDuration += timestamp - deviceTracker.lastMovement;
-            }
-            
-            // Stop tracking if inactive for 5 minutes
-            if (deviceTracker.falseDuration >= 300000 && deviceTracker.isSaving) { // 5 minutes
-                console.log(`🛑 Device ${deviceImei}: Stopped tracking after ${Math.round(deviceTracker.falseDuration/1000)}s idle`);
-                
-                // Only save final points if we have an active walk path
-                if (deviceTracker.activeWalkPathId) {
-                    const result = await updateWalkPath(deviceImei, lat, lon, timestamp);
-                    if (result) {
-                        console.log(`✅ Device ${deviceImei}: Updated final walk path with last point`);
-                    }
-                }
-                
-                // Reset tracker state
-                deviceTracker.isSaving = false;
-                deviceTracker.movementStartTime = null;
-                deviceTracker.falseDuration = 0;
-                deviceTracker.pendingPoints = [];
-                deviceTracker.activeWalkPathId = null;
-                deviceTracker.walkPathFinished = true;
-                
-                // Close any active walk paths for this device
-                await closeActiveWalkPaths(deviceImei);
-            } else if (deviceTracker.movementStartTime) {
-                // If we were tracking movement but haven't reached 5 minutes yet, keep points
-                const movementDuration = timestamp - deviceTracker.movementStartTime;
-                if (movementDuration < 300000) {
-                    console.log(`⏳ Device ${deviceImei}: Movement paused before 5 minutes. Keeping points for potential resumption.`);
-                }
+            } else if (action.type === 'endWalk') {
+                console.log(`🛑 Device ${deviceImei}: Walk ended at ${action.endTime.toLocaleTimeString()}`);
+                state.lastWalkPathId = state.activeWalkPathId;
+                state.activeWalkPathId = null;
+                await closeActiveWalkPaths(deviceImei, action.endTime);
+            } else if (action.type === 'resumeWalk') {
+                console.log(`↩️ Device ${deviceImei}: Moving again within the resume window, reopening the walk started at ${action.startTime.toLocaleTimeString()}`);
+                state.activeWalkPathId = await reopenWalkPath(deviceImei, state.lastWalkPathId);
+                state.lastWalkPathId = null;
+            } else if (action.type === 'rejectPoint') {
+                await recordRejectedPoint(deviceImei, action);
             }
         }
-        
-        // Update last movement time
-        deviceTracker.lastMovement = timestamp;
+
+        checkpointTracker(deviceImei, state);
+
+        if (state.phase === 'pending') {
+            console.log(`⏳ Device ${deviceImei}: Collecting points before DB saving starts. Pending points: ${state.pendingPoints.length}`);
+        }
     } catch (error) {
         console.error(`❌ Error in processWalkTracking for ${deviceImei}: ${error.message}`);
     }
@@ -468,7 +601,7 @@ async function createWalkPathWithInitialPoints(deviceImei, points) {
             isNaN(points[0].latitude) || isNaN(points[0].longitude) || 
             (points[0].latitude === 0 && points[0].longitude === 0)) {
             console.log(`❌ Skipping walk creation for device ${deviceImei}: No valid coordinates`);
-            return;
+            return null;
         }
         
         console.log(`📝 Creating walk path for device ${deviceImei} with ${points.length} points`);
@@ -490,8 +623,10 @@ async function createWalkPathWithInitialPoints(deviceImei, points) {
         } else {
             console.error(`❌ Failed to create walk path for device ${deviceImei}`);
         }
+        return walkPath;
     } catch (error) {
         console.error(`❌ Error creating walk path with initial points: ${error.message}`);
+        return null;
     }
 }
 
@@ -598,47 +733,23 @@ async function updateWalkPath(deviceId, latitude, longitude, timestamp) {
     return null;
 }
 
-// Helper functions
-function isImeiPacket(buffer) {
-    if (buffer.length < 4) return false;
-    const imeiLength = buffer.readUInt16BE(0);
-    if (imeiLength < 15 || imeiLength > 17 || buffer.length < imeiLength + 2) {
-        return false;
-    }
-    for (let i = 2; i < 2 + imeiLength; i++) {
-        if (i >= buffer.length) return false;
-        const char = buffer[i];
-        if (char < 0x30 || char > 0x39) return false;
-    }
-    return true;
-}
-
-function parseImeiPacket(buffer) {
-    const imeiLength = buffer.readUInt16BE(0);
-    return buffer.toString('ascii', 2, 2 + imeiLength);
-}
-
-// Improved safe socket write function
-function safeSocketWrite(socket, data, deviceImei) {
-    try {
-        if (socket && !socket.destroyed && socket.writable) {
-            socket.write(data);
-            return true;
-        } else {
-            console.log(`⚠️ Cannot write to socket for device ${deviceImei}: Socket not writable`);
-            return false;
-        }
-    } catch (error) {
-        console.error(`❌ Error writing to socket for ${deviceImei}: ${error.message}`);
-        return false;
-    }
+// Count a rejected AVL packet against its device
+function recordPacketRejection(deviceImei, reason, outcome = 'withholding ack') {
+    const key = deviceImei || 'unknown';
+    const stats = packetRejections.get(key) || { total: 0, crc: 0, recordCount: 0, length: 0, unparsable: 0, lastRejectedAt: null };
+    stats.total++;
+    stats[reason] = (stats[reason] || 0) + 1;
+    stats.lastRejectedAt = new Date();
+    packetRejections.set(key, stats);
+    console.warn(`🚫 Rejected AVL packet from ${key} (${reason}), ${outcome}. Total rejections: ${stats.total}`);
 }
 
 // Socket error handler
 function handleSocketError(socket, deviceImei) {
     socket.on('error', (err) => {
         console.error(`❌ Connection error (${deviceImei || 'unknown'}): ${err.message}`);
-        if (deviceImei && activeDevices.has(deviceImei)) {
+        const session = deviceImei && activeDevices.get(deviceImei);
+        if (session && session.socket === socket) {
             activeDevices.delete(deviceImei);
         }
     });
@@ -648,7 +759,8 @@ function handleSocketError(socket, deviceImei) {
 function handleSocketClose(socket, deviceImei) {
     socket.on('close', () => {
         console.log(`🔌 Device disconnected: ${deviceImei}`);
-        if (deviceImei && activeDevices.has(deviceImei)) {
+        const session = deviceImei && activeDevices.get(deviceImei);
+        if (session && session.socket === socket) {
             activeDevices.delete(deviceImei);
         }
     });
@@ -670,20 +782,60 @@ async function handleDeviceData(socket, data, deviceImei) {
     }
 }
 
+// Queue a Codec 12 command for a device and send it right away if it is connected
+async function sendCommand(deviceImei, command) {
+    const queued = await queueCommand(deviceImei, command);
+
+    const deviceInfo = activeDevices.get(deviceImei);
+    if (deviceInfo) {
+        await flushCommands(deviceImei, deviceInfo.socket);
+    } else {
+        console.log(`📴 Device ${deviceImei} is offline, command will be sent on reconnect`);
+    }
+
+    return queued;
+}
+
 // Start server
 async function startServer() {
     try {
-        server.listen(DEVICE_PORT, () => {
-            console.log(`🚀 Server listening on port ${DEVICE_PORT}`);
-        });
+        if (config.PLAINTEXT_ENABLED) {
+            await new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(config.DEVICE_PORT, () => {
+                    server.removeListener('error', reject);
+                    console.log(`🚀 Server listening on port ${config.DEVICE_PORT}`);
+                    resolve();
+                });
+            });
+        }
+
+        if (config.TLS_ENABLED) {
+            await startTlsServer(handleConnection);
+        }
     } catch (error) {
         console.error('Failed to start server:', error);
         process.exit(1);
     }
 }
 
+// Make a walk closed by a stop active again. Returns its id, or null if there is
+// none to reopen; points then go to a new walk as they would without one.
+async function reopenWalkPath(deviceId, walkPathId) {
+    if (!walkPathId) return null;
+    try {
+        const result = await WalkPath.updateOne({ _id: walkPathId }, { $set: { isActive: true }, $unset: { endTime: 1 } });
+        if (result.matchedCount === 0) return null;
+        console.log(`✅ Reopened walk path ${walkPathId} for device ${deviceId}`);
+        return walkPathId;
+    } catch (error) {
+        console.error(`❌ Error reopening walk path ${walkPathId}: ${error.message}`);
+        return null;
+    }
+}
+
 // Add the closeActiveWalkPaths function
-async function closeActiveWalkPaths(deviceId) {
+async function closeActiveWalkPaths(deviceId, endTime = new Date()) {
     try {
         const deviceInfo = await getDeviceInfoByDeviceId(deviceId);
         if (!deviceInfo) return;
@@ -695,7 +847,7 @@ async function closeActiveWalkPaths(deviceId) {
         
         for (const walkPath of walkPaths) {
             walkPath.isActive = false;
-            walkPath.endTime = new Date();
+            walkPath.endTime = endTime;
             await walkPath.save();
             console.log(`✅ Closed walk path ${walkPath._id} for device ${deviceId}`);
         }
@@ -713,7 +865,14 @@ module.exports = {
     startServer,
     server,
     activeDevices,
+    movementTracker,
+    lastRecords,
+    packetRejections,
+    sessionTakeovers,
     safeSocketWrite,
+    sendCommand,
+    setDeviceModel,
+    processAvlRecords,
     handleSocketError,
     handleSocketClose,
     handleDeviceData,
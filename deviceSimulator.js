@@ -0,0 +1,403 @@
+require('dotenv').config(); // Load environment variables
+
+const net = require('net');
+const fs = require('fs');
+const { DEVICE_PORT, MAX_CONNECTIONS, MAX_CONNECTIONS_PER_IP, RATE_LIMIT_REQUESTS, RATE_LIMIT_WINDOW } = require('./config');
+const { encodeCodec8Packet, encodeCodec12Response, CODEC_12 } = require('./parsers');
+const { getDeviceProfile } = require('./profiles');
+
+// How long a simulated device waits for the server to accept its IMEI or ack a packet
+const ACK_TIMEOUT = 10000;
+
+const USAGE = `Usage: node deviceSimulator.js [options]
+
+Simulates TMT250 trackers: each device connects, sends its IMEI and emits Codec 8
+packets along a scripted or randomly generated walk, checking every ack.
+
+Options:
+  --host HOST          Server host (default 127.0.0.1)
+  --port PORT          Server port (default DEVICE_PORT)
+  --devices N          Number of concurrent devices (default 1)
+  --imei IMEI          IMEI of the first device; others count up from it (default 350000000000001)
+  --script FILE        Scenario JSON file (default: random walk)
+  --duration MS        Simulated time for a random walk (default 1800000)
+  --interval MS        Simulated time between records (default 10000)
+  --records N          Records per packet (default 1)
+  --speedup N          Run simulated time N times faster than real time (default 1)
+  --ramp MS            Spread device connections over this long (default 1000)
+  --retries N          Resend an unacked packet this many times (default 1)
+
+The server's admission limits apply to the simulator like to any host: all devices
+share one IP, so it allows at most MAX_CONNECTIONS_PER_IP (default 10) of them, and
+each device may send RATE_LIMIT_REQUESTS packets per RATE_LIMIT_WINDOW (default 600
+per minute) before it is throttled and then banned. For larger or faster runs raise
+them in the server's environment, e.g.
+  MAX_CONNECTIONS=1000 MAX_CONNECTIONS_PER_IP=1000 RATE_LIMIT_REQUESTS=6000 node index.js
+
+A scenario file looks like:
+  {
+    "start": { "latitude": 54.6872, "longitude": 25.2797 },
+    "interval": 10000,
+    "battery": 100,
+    "steps": [
+      { "duration": 120000, "moving": false },
+      { "duration": 600000, "moving": true, "speed": 5, "heading": 90, "battery": 96 },
+      { "duration": 30000, "moving": false, "alarm": true },
+      { "duration": 30000, "moving": false, "manDown": true }
+    ]
+  }`;
+
+function parseArgs(argv) {
+    const options = {
+        host: '127.0.0.1',
+        port: DEVICE_PORT,
+        devices: 1,
+        imei: '350000000000001',
+        script: null,
+        duration: 1800000,
+        interval: 10000,
+        records: 1,
+        speedup: 1,
+        ramp: 1000,
+        retries: 1
+    };
+    const numeric = ['port', 'devices', 'duration', 'interval', 'records', 'speedup', 'ramp', 'retries'];
+
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        if (!argv[i].startsWith('--') || !(name in options)) {
+            throw new Error(`Unexpected argument "${argv[i]}"`);
+        }
+        const value = argv[++i];
+        if (value === undefined) {
+            throw new Error(`Missing value for --${name}`);
+        }
+        if (numeric.includes(name)) {
+            options[name] = parseFloat(value);
+            if (isNaN(options[name]) || options[name] < 0) {
+                throw new Error(`--${name} must be a number >= 0`);
+            }
+        } else {
+            options[name] = value;
+        }
+    }
+
+    if (!/^\d{15}$/.test(options.imei)) {
+        throw new Error('--imei must be 15 digits');
+    }
+    if (options.records < 1 || options.records > 255) {
+        throw new Error('--records must be between 1 and 255');
+    }
+    if (options.speedup === 0) {
+        throw new Error('--speedup must be greater than 0');
+    }
+    return options;
+}
+
+// Random walk: alternate rests and walks of random length until the duration is filled
+function generateRandomScenario(options) {
+    const steps = [];
+    let elapsed = 0;
+    let moving = false;
+
+    while (elapsed < options.duration) {
+        const duration = Math.min(
+            options.duration - elapsed,
+            moving ? 180000 + Math.random() * 900000 : 60000 + Math.random() * 600000
+        );
+        steps.push({
+            duration,
+            moving,
+            speed: moving ? 3 + Math.random() * 4 : 0,
+            heading: Math.random() * 360
+        });
+        elapsed += duration;
+        moving = !moving;
+    }
+
+    return {
+        start: {
+            latitude: 54.6872 + (Math.random() - 0.5) * 0.05,
+            longitude: 25.2797 + (Math.random() - 0.5) * 0.05
+        },
+        interval: options.interval,
+        battery: 60 + Math.random() * 40,
+        wander: true,
+        steps
+    };
+}
+
+function loadScenario(options) {
+    if (!options.script) return null;
+
+    const scenario = JSON.parse(fs.readFileSync(options.script, 'utf8'));
+    if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+        throw new Error(`Scenario ${options.script} has no steps`);
+    }
+    return scenario;
+}
+
+// Simulated time the scenario's records span, in the same ticks generateRecords uses
+function scenarioDuration(scenario) {
+    const interval = scenario.interval || 10000;
+    return scenario.steps.reduce((sum, step) => sum + Math.max(1, Math.round(step.duration / interval)) * interval, 0);
+}
+
+// Turn a scenario into the records a device would log, one per interval
+function* generateRecords(scenario, startTime) {
+    const interval = scenario.interval || 10000;
+    let latitude = scenario.start ? scenario.start.latitude : 54.6872;
+    let longitude = scenario.start ? scenario.start.longitude : 25.2797;
+    let battery = scenario.battery !== undefined ? scenario.battery : 100;
+    let time = startTime;
+    let heading = 0;
+    let alarm = false;
+    let manDown = false;
+
+    for (const step of scenario.steps) {
+        const moving = !!step.moving;
+        const speed = moving ? (step.speed !== undefined ? step.speed : 5) : 0;
+        if (step.heading !== undefined) heading = step.heading;
+
+        // Battery drains linearly towards the step's target level
+        const ticks = Math.max(1, Math.round(step.duration / interval));
+        const batteryStep = step.battery !== undefined ? (step.battery - battery) / ticks : -0.002;
+
+        for (let tick = 0; tick < ticks; tick++) {
+            if (moving) {
+                if (scenario.wander) heading = (heading + (Math.random() - 0.5) * 40 + 360) % 360;
+                const meters = speed / 3.6 * interval / 1000;
+                const radians = heading * Math.PI / 180;
+                latitude += meters * Math.cos(radians) / 111320;
+                longitude += meters * Math.sin(radians) / (111320 * Math.cos(latitude * Math.PI / 180));
+            }
+            battery = Math.min(100, Math.max(0, battery + batteryStep));
+
+            // Alarm and ManDown are reported as events when they change
+            const elements = {
+                240: moving ? 1 : 0,
+                69: 1,
+                21: 4,
+                113: Math.round(battery),
+                67: Math.round(3500 + battery * 7),
+                116: 0,
+                181: 12,
+                182: 9
+            };
+            let eventIOID = 0;
+            let priority = 0;
+            if (!!step.alarm !== alarm) {
+                alarm = !!step.alarm;
+                elements[236] = alarm ? 1 : 0;
+                eventIOID = 236;
+                priority = 2;
+            }
+            if (!!step.manDown !== manDown) {
+                manDown = !!step.manDown;
+                elements[242] = manDown ? 1 : 0;
+                eventIOID = 242;
+                priority = 2;
+            }
+
+            yield {
+                timestamp: time,
+                priority,
+                latitude,
+                longitude,
+                altitude: 120,
+                angle: Math.round(heading),
+                satellites: 9,
+                speed: Math.round(speed),
+                eventIOID,
+                elements
+            };
+            time += interval;
+        }
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run one simulated device from connection to the end of its scenario
+function simulateDevice(imei, scenario, options) {
+    const stats = { imei, packets: 0, records: 0, acked: 0, badAcks: 0, timeouts: 0, commands: 0, error: null };
+    const profile = getDeviceProfile('TMT250');
+
+    return new Promise((resolve) => {
+        const socket = net.connect(options.port, options.host);
+        let received = Buffer.alloc(0);
+        let waiter = null;
+        let finished = false;
+
+        // Answer Codec 12 commands from the server; leave anything else for the ack reader
+        const handleCommands = () => {
+            while (received.length >= 12 && received.readUInt32BE(0) === 0 && received[8] === CODEC_12) {
+                const total = 8 + received.readUInt32BE(4) + 4;
+                if (received.length < total) return;
+                const command = received.toString('ascii', 15, total - 5);
+                received = received.subarray(total);
+                stats.commands++;
+                socket.write(encodeCodec12Response(`${command}: OK`));
+            }
+        };
+
+        // Resolve with `length` bytes from the server, or null on timeout
+        const readBytes = (length) => new Promise((done) => {
+            const finish = (value) => {
+                clearTimeout(timer);
+                waiter = null;
+                done(value);
+            };
+            const timer = setTimeout(() => finish(null), ACK_TIMEOUT);
+            waiter = () => {
+                handleCommands();
+                if (received.length >= length && !(received.length >= 4 && received.readUInt32BE(0) === 0)) {
+                    const bytes = received.subarray(0, length);
+                    received = received.subarray(length);
+                    finish(bytes);
+                } else if (stats.error) {
+                    finish(null);
+                }
+            };
+            waiter();
+        });
+
+        socket.on('data', (data) => {
+            received = Buffer.concat([received, data]);
+            if (waiter) waiter();
+            else handleCommands();
+        });
+        socket.on('error', (error) => {
+            stats.error = error.message;
+            if (waiter) waiter();
+        });
+        socket.on('close', () => {
+            // The server refused the IMEI or dropped the connection mid-route
+            if (!finished && !stats.error) {
+                stats.error = 'Connection closed by server before the route finished';
+            }
+            if (waiter) waiter();
+            resolve(stats);
+        });
+
+        socket.on('connect', async () => {
+            const imeiPacket = Buffer.alloc(2 + imei.length);
+            imeiPacket.writeUInt16BE(imei.length, 0);
+            imeiPacket.write(imei, 2, 'ascii');
+            socket.write(imeiPacket);
+
+            const accepted = await readBytes(1);
+            if (!accepted || accepted[0] !== 0x01) {
+                stats.error = stats.error || (accepted ? `IMEI rejected (0x${accepted.toString('hex')})` : 'No IMEI ack');
+                socket.destroy();
+                return;
+            }
+
+            const interval = scenario.interval || options.interval;
+            let batch = [];
+
+            // Date records so the route ends at the wall clock when the run does; with
+            // --speedup the route starts in the past and no record is ever ahead of now
+            const duration = scenarioDuration(scenario);
+            const startTime = Date.now() + duration / options.speedup - duration;
+
+            for (const record of generateRecords(scenario, startTime)) {
+                if (stats.error) break;
+                batch.push(record);
+
+                // Devices log records on their own clock and send them in batches
+                await sleep(interval / options.speedup);
+                if (batch.length < options.records) continue;
+
+                await sendBatch(batch);
+                batch = [];
+            }
+            if (batch.length > 0 && !stats.error) await sendBatch(batch);
+
+            finished = true;
+            socket.end();
+        });
+
+        const sendBatch = async (batch) => {
+            const packet = encodeCodec8Packet(batch, profile);
+
+            for (let attempt = 0; attempt <= options.retries; attempt++) {
+                socket.write(packet);
+                stats.packets++;
+
+                const ack = await readBytes(4);
+                if (!ack) {
+                    stats.timeouts++;
+                    continue;
+                }
+                if (ack.readUInt32BE(0) !== batch.length) {
+                    stats.badAcks++;
+                    console.warn(`⚠️ ${imei}: ack ${ack.readUInt32BE(0)} for ${batch.length} records`);
+                    return;
+                }
+
+                stats.acked++;
+                stats.records += batch.length;
+                return;
+            }
+            console.warn(`⚠️ ${imei}: no ack after ${options.retries + 1} attempts`);
+        };
+    });
+}
+
+// The limits come from this host's environment, which matches the server's when both run locally
+function warnAboutAdmissionLimits(options, scenario) {
+    if (options.devices > Math.min(MAX_CONNECTIONS, MAX_CONNECTIONS_PER_IP)) {
+        console.warn(`⚠️ ${options.devices} devices exceed MAX_CONNECTIONS_PER_IP=${MAX_CONNECTIONS_PER_IP} / MAX_CONNECTIONS=${MAX_CONNECTIONS}; the server will refuse the rest`);
+    }
+
+    const interval = (scenario && scenario.interval) || options.interval;
+    const packetsPerWindow = RATE_LIMIT_WINDOW * options.speedup / (interval * options.records);
+    if (packetsPerWindow > RATE_LIMIT_REQUESTS) {
+        console.warn(`⚠️ Each device sends ~${Math.ceil(packetsPerWindow)} packets per ${RATE_LIMIT_WINDOW} ms, over RATE_LIMIT_REQUESTS=${RATE_LIMIT_REQUESTS}; lower --speedup, raise --records or raise the limit`);
+    }
+}
+
+async function main() {
+    let options;
+    let scenario;
+    try {
+        options = parseArgs(process.argv.slice(2));
+        scenario = loadScenario(options);
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+
+    console.log(`🤖 Simulating ${options.devices} device(s) against ${options.host}:${options.port}`);
+    warnAboutAdmissionLimits(options, scenario);
+
+    const runs = [];
+    for (let i = 0; i < options.devices; i++) {
+        const imei = (BigInt(options.imei) + BigInt(i)).toString().padStart(15, '0');
+        runs.push(sleep(options.ramp * i / options.devices)
+            .then(() => simulateDevice(imei, scenario || generateRandomScenario(options), options)));
+    }
+
+    const results = await Promise.all(runs);
+
+    const totals = results.reduce((sum, stats) => {
+        for (const key of ['packets', 'records', 'acked', 'badAcks', 'timeouts', 'commands']) {
+            sum[key] += stats[key];
+        }
+        if (stats.error) sum.errors++;
+        return sum;
+    }, { packets: 0, records: 0, acked: 0, badAcks: 0, timeouts: 0, commands: 0, errors: 0 });
+
+    for (const stats of results.filter(result => result.error || result.badAcks || result.timeouts)) {
+        console.warn(`❌ ${stats.imei}: ${stats.error || ''} acked ${stats.acked}/${stats.packets}, bad acks ${stats.badAcks}, timeouts ${stats.timeouts}`);
+    }
+    console.log(`📊 ${results.length} devices: ${totals.packets} packets sent, ${totals.acked} acked, ${totals.records} records, ${totals.badAcks} bad acks, ${totals.timeouts} timeouts, ${totals.commands} commands answered, ${totals.errors} device errors`);
+
+    process.exit(totals.badAcks || totals.timeouts || totals.errors ? 1 : 0);
+}
+
+main().catch((error) => {
+    console.error('❌ Simulator failed:', error);
+    process.exit(1);
+});
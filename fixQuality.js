@@ -0,0 +1,76 @@
+const { calculateDistance } = require('./utils/geofenceUtils');
+
+// GPS fix quality checks and smoothing for walk points. Pure functions over records
+// and points, used by the segmentation engine before a point joins a walk.
+
+// Dilution of precision reported with the fix: HDOP, or PDOP when the device sends
+// no HDOP. Teltonika records carry 0 when the IO element was absent.
+function dilutionOf(record) {
+    if (record.gnssHDOP > 0) return record.gnssHDOP;
+    if (record.gnssPDOP > 0) return record.gnssPDOP;
+    return null;
+}
+
+// Whether the GNSS receiver reported a fix. Parsed records only know this when IO 69
+// was sent; JSON records carry gnssStatus themselves.
+function reportsNoFix(record) {
+    if (record.gnssStatus !== false) return false;
+    return !record.elements || record.elements[69] !== undefined;
+}
+
+// km/h needed to get from one point to the next
+function impliedSpeed(from, to) {
+    const hours = (to.timestamp - from.timestamp) / 3600000;
+    if (hours <= 0) return Infinity;
+    return calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude) / 1000 / hours;
+}
+
+// Why a record's position should be kept out of walks, or null if it is usable.
+// A threshold of 0 turns its check off. `previousFix` is the last accepted raw point.
+function assessFix(record, point, previousFix, settings) {
+    if (reportsNoFix(record)) {
+        return { reason: 'no_fix' };
+    }
+
+    if (settings.minSatellites > 0 && typeof record.satellites === 'number' && record.satellites < settings.minSatellites) {
+        return { reason: 'satellites', satellites: record.satellites };
+    }
+
+    const dilution = dilutionOf(record);
+    if (settings.maxHdop > 0 && dilution !== null && dilution > settings.maxHdop) {
+        return { reason: 'hdop', hdop: dilution };
+    }
+
+    if (settings.maxSpeed > 0 && previousFix) {
+        const speed = impliedSpeed(previousFix, point);
+        if (speed > settings.maxSpeed) {
+            return { reason: 'speed_jump', impliedSpeed: Math.round(speed) };
+        }
+    }
+
+    return null;
+}
+
+// Average the position of the latest fixes to damp jitter. The point keeps the
+// newest fix's time; with a window of 1 it is passed through unchanged.
+function smoothPoint(recentFixes) {
+    const latest = recentFixes[recentFixes.length - 1];
+    if (recentFixes.length === 1) return latest;
+
+    const sum = recentFixes.reduce((acc, fix) => ({
+        latitude: acc.latitude + fix.latitude,
+        longitude: acc.longitude + fix.longitude
+    }), { latitude: 0, longitude: 0 });
+
+    return {
+        latitude: sum.latitude / recentFixes.length,
+        longitude: sum.longitude / recentFixes.length,
+        timestamp: latest.timestamp
+    };
+}
+
+module.exports = {
+    assessFix,
+    impliedSpeed,
+    smoothPoint
+};
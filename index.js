@@ -2,8 +2,18 @@ require('dotenv').config(); // Load environment variables
 
 const express = require('express');
 const { startServer, activeDevices } = require('./deviceServer');
+const { startUdpServer, stopUdpServer } = require('./udpServer');
+const { startMonitorServer } = require('./monitorServer');
 const { connectToDatabase } = require('./database');
-const { MONITORING_PORT } = require('./config');
+const { closeCapture } = require('./packetCapture');
+const { startWriteAheadQueue, stopWriteAheadQueue } = require('./writeAheadQueue');
+const { stopTlsServer, reloadTlsCertificate } = require('./tlsServer');
+const { startLivenessSupervisor, stopLivenessSupervisor } = require('./liveness');
+const { closeInterruptedSessions } = require('./sessionHistory');
+const { requeueStaleCommands } = require('./commandQueue');
+const { startAdmissionPruning, stopAdmissionPruning } = require('./admissionControl');
+const { reconcileActiveWalks, startTrackerCheckpoints, stopTrackerCheckpoints } = require('./trackerState');
+const config = require('./config');
 
 const app = express();
 
@@ -13,21 +23,61 @@ app.use(express.json());
 // Start the servers
 async function initializeServers() {
     try {
-        // Connect to database
+        // Connect to database. If it is down, connecting keeps retrying in the
+        // background and records are queued on disk meanwhile.
         await connectToDatabase();
-        console.log('✅ Database connection established');
+
+        // Replay records queued while the database was unreachable
+        startWriteAheadQueue();
+
+        // Persist lastSeen and mark silent devices offline
+        startLivenessSupervisor();
+
+        // Sessions left open by a crash; must run before devices connect again
+        await closeInterruptedSessions();
+
+        // Commands still marked sent will never get their response
+        await requeueStaleCommands();
+
+        // Close or resume walks left active by the last shutdown, then keep
+        // walk tracker state checkpointed
+        await reconcileActiveWalks();
+        startTrackerCheckpoints();
+
+        // Drop expired rate limit state for devices and IPs no longer seen
+        startAdmissionPruning();
 
         // Start device server
         await startServer();
         console.log('✅ Device server started');
 
+        // Start UDP listener for devices in UDP mode
+        if (config.UDP_ENABLED) {
+            await startUdpServer();
+            console.log('✅ UDP server started');
+        }
+
+        // Start monitoring API
+        const monitorServer = await startMonitorServer(app);
+        console.log('✅ Monitoring server started');
+
         // Handle server closing
         const shutdownHandler = () => {
             console.log('🛑 Shutting down servers...');
 
+            stopUdpServer();
+            stopTlsServer();
+            stopWriteAheadQueue();
+            stopLivenessSupervisor();
+            stopTrackerCheckpoints();
+            stopAdmissionPruning();
+            monitorServer.close();
+            closeCapture();
+
             // Close all device connections
             for (const [imei, info] of activeDevices.entries()) {
                 try {
+                    info.socket.closeReason = 'shutdown';
                     info.socket.end();
                     console.log(`✅ Closed connection to device ${imei}`);
                 } catch (err) {
@@ -46,6 +96,13 @@ async function initializeServers() {
         process.on('SIGINT', shutdownHandler);
         process.on('SIGTERM', shutdownHandler);
 
+        // Apply changed thresholds, limits, log level and TLS certificate without dropping devices
+        process.on('SIGHUP', () => {
+            console.log('🔄 SIGHUP received, reloading configuration...');
+            config.reloadConfig();
+            if (config.TLS_ENABLED) reloadTlsCertificate();
+        });
+
         console.log('🔄 Server initialization complete');
     } catch (error) {
         console.error('❌ Server initialization error:', error);
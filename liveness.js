@@ -0,0 +1,142 @@
+const DeviceEvent = require('./models/DeviceEvent');
+const { Device } = require('./database');
+const config = require('./config');
+
+// Latest traffic per IMEI not yet written to its Device document. lastSeen is saved
+// once per KEEPALIVE_INTERVAL rather than on every packet.
+const pendingSeen = new Map();
+
+// IMEIs known to be online in the database, so only transitions touch it per packet
+const onlineImeis = new Set();
+
+let supervisorTimer = null;
+
+async function writeEvent(device, imei, type, details = {}) {
+    try {
+        await DeviceEvent.create({ device: device._id, deviceImei: imei, type, ...details });
+    } catch (error) {
+        console.error(`❌ Error writing ${type} event for ${imei}: ${error.message}`);
+    }
+}
+
+// Note traffic from a device. The first traffic after it was offline marks it
+// online right away and writes an online event.
+async function markSeen(imei, ip) {
+    const seen = { at: new Date(), ip };
+    pendingSeen.set(imei, seen);
+    if (onlineImeis.has(imei)) return;
+
+    onlineImeis.add(imei);
+    try {
+        // Only a device that was offline matches, so a restart doesn't write a second online event
+        const device = await Device.findOneAndUpdate(
+            { deviceId: imei, online: { $ne: true } },
+            { $set: { online: true, lastSeen: seen.at, lastIp: ip } },
+            { new: true }
+        ).lean();
+
+        if (device) {
+            console.log(`🟢 Device ${imei} is online`);
+            await writeEvent(device, imei, 'online', { ip, lastSeen: seen.at, timestamp: seen.at });
+        }
+    } catch (error) {
+        onlineImeis.delete(imei);
+        console.error(`❌ Error marking ${imei} online: ${error.message}`);
+    }
+}
+
+// Record that a new connection took over a device's previous session
+async function recordTakeover(imei, ip) {
+    try {
+        const device = await Device.findOne({ deviceId: imei }).select('_id').lean();
+        if (device) await writeEvent(device, imei, 'takeover', { ip });
+    } catch (error) {
+        console.error(`❌ Error recording takeover for ${imei}: ${error.message}`);
+    }
+}
+
+// Write buffered lastSeen times in one bulk write
+async function flushLastSeen() {
+    if (pendingSeen.size === 0) return;
+
+    const updates = [...pendingSeen.entries()];
+    pendingSeen.clear();
+
+    try {
+        await Device.bulkWrite(updates.map(([imei, seen]) => ({
+            updateOne: {
+                filter: { deviceId: imei },
+                update: { $max: { lastSeen: seen.at }, $set: { lastIp: seen.ip } }
+            }
+        })), { ordered: false });
+    } catch (error) {
+        // Keep them for the next round unless newer traffic has replaced them
+        for (const [imei, seen] of updates) {
+            if (!pendingSeen.has(imei)) pendingSeen.set(imei, seen);
+        }
+        console.error(`❌ Error saving lastSeen: ${error.message}`);
+    }
+}
+
+// Mark devices offline that have been silent for OFFLINE_AFTER
+async function markSilentDevicesOffline() {
+    const cutoff = new Date(Date.now() - config.OFFLINE_AFTER);
+    const silent = await Device.find({ online: true, lastSeen: { $lt: cutoff } }).select('_id deviceId lastSeen').lean();
+
+    for (const candidate of silent) {
+        // Skip devices with unsaved traffic, and ones that reported since the query
+        if (pendingSeen.has(candidate.deviceId)) continue;
+
+        const device = await Device.findOneAndUpdate(
+            { _id: candidate._id, online: true, lastSeen: { $lt: cutoff } },
+            { $set: { online: false } },
+            { new: true }
+        ).lean();
+        if (!device) continue;
+
+        onlineImeis.delete(device.deviceId);
+        console.log(`🔴 Device ${device.deviceId} is offline, last seen ${device.lastSeen.toISOString()}`);
+        await writeEvent(device, device.deviceId, 'offline', { ip: device.lastIp, lastSeen: device.lastSeen });
+    }
+}
+
+async function superviseLiveness() {
+    try {
+        await flushLastSeen();
+        await markSilentDevicesOffline();
+    } catch (error) {
+        console.error(`❌ Liveness check failed: ${error.message}`);
+    }
+}
+
+// Check liveness every KEEPALIVE_INTERVAL. Devices that went silent while the
+// server was down are caught on the first run.
+function startLivenessSupervisor() {
+    const schedule = () => {
+        supervisorTimer = setTimeout(async () => {
+            await superviseLiveness();
+            if (supervisorTimer) schedule();
+        }, config.KEEPALIVE_INTERVAL);
+    };
+
+    superviseLiveness();
+    schedule();
+}
+
+async function stopLivenessSupervisor() {
+    clearTimeout(supervisorTimer);
+    supervisorTimer = null;
+    await flushLastSeen();
+}
+
+async function getDeviceEvents(imei, limit = 50) {
+    return DeviceEvent.find({ deviceImei: imei }).sort({ timestamp: -1 }).limit(limit).lean();
+}
+
+module.exports = {
+    markSeen,
+    recordTakeover,
+    startLivenessSupervisor,
+    stopLivenessSupervisor,
+    getDeviceEvents
+};
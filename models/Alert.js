@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const alertSchema = new mongoose.Schema({
+    device: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', required: true },
+    animal: { type: mongoose.Schema.Types.ObjectId, ref: 'Animal' },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    type: {
+        type: String,
+        enum: ['alarm', 'manDown', 'overSpeeding'],
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['open', 'acknowledged', 'resolved'],
+        default: 'open'
+    },
+    ioId: { type: Number }, // IO element that raised the alert
+    value: { type: mongoose.Schema.Types.Mixed }, // IO value when raised
+    position: {
+        latitude: { type: Number },
+        longitude: { type: Number }
+    },
+    timestamp: { type: Date, required: true }, // Device time of the triggering record
+    acknowledgedAt: { type: Date },
+    resolvedAt: { type: Date }
+}, { timestamps: true });
+
+alertSchema.index({ device: 1, type: 1, status: 1 });
+
+module.exports = mongoose.model('Alert', alertSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+const deviceCommandSchema = new mongoose.Schema({
+    deviceImei: { type: String, required: true },
+    command: { type: String, required: true },
+    status: {
+        type: String,
+        enum: ['queued', 'sent', 'answered', 'failed'],
+        default: 'queued'
+    },
+    attempts: { type: Number, default: 0 },
+    response: { type: String },
+    error: { type: String },
+    sentAt: { type: Date },
+    answeredAt: { type: Date }
+}, { timestamps: true });
+
+deviceCommandSchema.index({ deviceImei: 1, status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('DeviceCommand', deviceCommandSchema);
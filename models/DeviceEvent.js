@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Presence changes of a device, so clients can show e.g. "offline since 14:05"
+const deviceEventSchema = new mongoose.Schema({
+    device: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', required: true },
+    deviceImei: { type: String, required: true },
+    type: {
+        type: String,
+        enum: ['online', 'offline', 'takeover'],
+        required: true
+    },
+    ip: { type: String },
+    lastSeen: { type: Date }, // Last traffic from the device when the event was written
+    timestamp: { type: Date, required: true, default: Date.now }
+}, { timestamps: true });
+
+deviceEventSchema.index({ device: 1, timestamp: -1 });
+
+module.exports = mongoose.model('DeviceEvent', deviceEventSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// One TCP (or TLS) connection from a device, from IMEI handshake to close
+const deviceSessionSchema = new mongoose.Schema({
+    deviceImei: { type: String, required: true },
+    remoteIp: { type: String },
+    remotePort: { type: Number },
+    transport: { type: String, enum: ['tcp', 'tls'], default: 'tcp' },
+    tls: { type: mongoose.Schema.Types.Mixed }, // Negotiated protocol and cipher for TLS sessions
+    startedAt: { type: Date, required: true },
+    endedAt: { type: Date },
+    closeReason: {
+        type: String,
+        enum: ['closed', 'timeout', 'error', 'takeover', 'shutdown', 'rejected', 'banned', 'interrupted']
+    },
+    error: { type: String }, // Socket error message when closeReason is 'error'
+    bytesIn: { type: Number, default: 0 },
+    bytesOut: { type: Number, default: 0 },
+    packetsIn: { type: Number, default: 0 },
+    packetsOut: { type: Number, default: 0 },
+    parseFailures: { type: Number, default: 0 }, // Rejected packets, discarded bytes and frames that failed to process
+    recordsReceived: { type: Number, default: 0 },
+    recordsAccepted: { type: Number, default: 0 } // Records stored (or queued) and acked
+}, { timestamps: true });
+
+deviceSessionSchema.index({ deviceImei: 1, startedAt: -1 });
+deviceSessionSchema.index({ endedAt: 1 });
+
+module.exports = mongoose.model('DeviceSession', deviceSessionSchema);
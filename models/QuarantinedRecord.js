@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// A record received from a device that is unknown or awaiting approval. Kept as
+// parsed so it can be imported into DeviceData once the device is approved.
+const quarantinedRecordSchema = new mongoose.Schema({
+    deviceImei: { type: String, required: true },
+    model: { type: String }, // Device model whose profile decoded the record
+    transport: { type: String, enum: ['tcp', 'udp'], default: 'tcp' },
+    timestamp: { type: Date, required: true }, // Device time of the record
+    record: { type: mongoose.Schema.Types.Mixed, required: true }
+}, { timestamps: true });
+
+quarantinedRecordSchema.index({ deviceImei: 1, timestamp: 1 });
+
+module.exports = mongoose.model('QuarantinedRecord', quarantinedRecordSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// A position kept out of walk paths for poor GPS fix quality, for diagnosing
+// devices and tuning the FIX_* thresholds
+const rejectedPointSchema = new mongoose.Schema({
+    deviceImei: { type: String, required: true },
+    timestamp: { type: Date, required: true }, // Device time of the record
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true },
+    reason: { type: String, enum: ['no_fix', 'satellites', 'hdop', 'speed_jump'], required: true },
+    satellites: { type: Number },
+    hdop: { type: Number },
+    impliedSpeed: { type: Number } // km/h from the last accepted fix
+}, { timestamps: true });
+
+rejectedPointSchema.index({ deviceImei: 1, timestamp: -1 });
+
+module.exports = mongoose.model('RejectedPoint', rejectedPointSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const { MOVEMENT_SOURCES } = require('../segmentation');
+
+// Named walk segmentation settings, e.g. for a kind of animal. Devices refer to a
+// profile by name; fields left unset fall back to the server-wide WALK_* config.
+const segmentationProfileSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true },
+    movementSource: { type: String, enum: MOVEMENT_SOURCES },
+    minSpeed: { type: Number, min: 0 }, // km/h
+    startDuration: { type: Number, min: 0 }, // ms
+    stopDuration: { type: Number, min: 0 }, // ms
+    resumeWindow: { type: Number, min: 0 }, // ms
+    maxHdop: { type: Number, min: 0 },
+    minSatellites: { type: Number, min: 0 },
+    maxSpeed: { type: Number, min: 0 }, // km/h implied by a jump between fixes
+    smoothingWindow: { type: Number, min: 1 }
+}, { timestamps: true });
+
+module.exports = mongoose.model('SegmentationProfile', segmentationProfileSchema);
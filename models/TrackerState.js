@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const pointSchema = new mongoose.Schema({
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true },
+    timestamp: { type: Date, required: true }
+}, { _id: false });
+
+// Checkpoint of a device's walk segmentation state, so a restart neither loses the
+// points held back before a walk starts nor forgets the walk in progress
+const trackerStateSchema = new mongoose.Schema({
+    deviceImei: { type: String, required: true, unique: true },
+    phase: { type: String, enum: ['idle', 'pending', 'walking'], default: 'idle' },
+    movementStartTime: { type: Date },
+    stoppedAt: { type: Date },
+    pendingPoints: [pointSchema],
+    lastPoint: { type: pointSchema },
+    lastFix: { type: pointSchema },
+    jumpCandidate: { type: pointSchema },
+    recentFixes: [pointSchema],
+    lastWalkStart: { type: Date },
+    lastWalkEnd: { type: Date },
+    activeWalkPathId: { type: mongoose.Schema.Types.ObjectId, ref: 'WalkPath' },
+    lastWalkPathId: { type: mongoose.Schema.Types.ObjectId, ref: 'WalkPath' } // Walk that may still resume
+}, { timestamps: true });
+
+trackerStateSchema.index({ phase: 1 });
+
+module.exports = mongoose.model('TrackerState', trackerStateSchema);
@@ -0,0 +1,273 @@
+const express = require('express');
+const config = require('./config');
+const {
+    activeDevices,
+    movementTracker,
+    lastRecords,
+    packetRejections,
+    sessionTakeovers,
+    sendCommand,
+    setDeviceModel
+} = require('./deviceServer');
+const { getAdmissionStats } = require('./admissionControl');
+const { getQuarantine, getQuarantinedRecords, approveDevice } = require('./quarantine');
+const { getQueueStats } = require('./writeAheadQueue');
+const { getDeliveryStats } = require('./deliveryStats');
+const { getDeviceEvents } = require('./liveness');
+const { getSessions } = require('./sessionHistory');
+const { getCommands } = require('./commandQueue');
+const { acknowledgeAlert, resolveAlert, getAlerts } = require('./alerts');
+const { getSegmentationSettings } = require('./segmentationProfiles');
+const { getRejectedPoints } = require('./rejectedPoints');
+
+// Summary of a live device session, without the socket itself
+function describeSession(info) {
+    return {
+        imei: info.imei,
+        model: info.model,
+        ip: info.ip,
+        connectedAt: info.connectedAt,
+        lastActivity: info.lastActivity,
+        bytesReceived: info.stats.bytesReceived,
+        bytesSent: info.stats.bytesSent,
+        packetsReceived: info.stats.packetsReceived,
+        packetsSent: info.stats.packetsSent,
+        parseFailures: info.stats.parseFailures,
+        recordsReceived: info.stats.recordsReceived,
+        recordsAccepted: info.stats.recordsAccepted,
+        tls: info.tls || null,
+        takeovers: info.takeovers
+    };
+}
+
+// Admin endpoints need `Authorization: Bearer <ADMIN_TOKEN>`, and are disabled
+// while no ADMIN_TOKEN is configured
+function requireAdmin(req, res, next) {
+    if (!config.ADMIN_TOKEN) {
+        return res.status(403).json({ error: 'Admin endpoints are disabled (ADMIN_TOKEN is not set)' });
+    }
+    if (req.get('authorization') !== `Bearer ${config.ADMIN_TOKEN}`) {
+        return res.status(401).json({ error: 'Invalid admin token' });
+    }
+    next();
+}
+
+// Movement tracker state, with pending points summarised rather than listed
+function describeTracker(tracker) {
+    if (!tracker) return null;
+
+    const { pendingPoints, ...state } = tracker;
+    return {
+        ...state,
+        pendingPointCount: pendingPoints ? pendingPoints.length : 0
+    };
+}
+
+function createMonitorRouter() {
+    const router = express.Router();
+
+    router.get('/health', (req, res) => {
+        res.json({
+            status: 'ok',
+            uptime: process.uptime(),
+            connectedDevices: activeDevices.size,
+            queueDepth: getQueueStats().depth
+        });
+    });
+
+    // Acked, unacked and redelivered AVL packets, in total and per device; keyed by IMEI, so admin only
+    router.get('/delivery', requireAdmin, (req, res) => {
+        res.json(getDeliveryStats());
+    });
+
+    // Write-ahead queue of records waiting for MongoDB
+    router.get('/queue', (req, res) => {
+        res.json(getQueueStats());
+    });
+
+    // Connection counts, rejection counters and active bans, which list client IPs
+    router.get('/admission', requireAdmin, (req, res) => {
+        res.json(getAdmissionStats());
+    });
+
+    // Device routes expose animal positions and device IPs, so all need the admin token
+    router.use('/devices', requireAdmin);
+
+    // Connected devices
+    router.get('/devices', (req, res) => {
+        const devices = [...activeDevices.values()].map(describeSession);
+        res.json({ count: devices.length, devices });
+    });
+
+    // One device: session, tracker state, last record, rejected packets and takeovers
+    router.get('/devices/:imei', (req, res) => {
+        const { imei } = req.params;
+        const info = activeDevices.get(imei);
+        const tracker = movementTracker[imei];
+        const lastRecord = lastRecords.get(imei);
+
+        if (!info && !tracker && !lastRecord) {
+            return res.status(404).json({ error: `Device ${imei} has not been seen since startup` });
+        }
+
+        res.json({
+            imei,
+            connected: !!info,
+            session: info ? describeSession(info) : null,
+            tracker: describeTracker(tracker),
+            lastRecord: lastRecord || null,
+            rejections: packetRejections.get(imei) || null,
+            takeovers: sessionTakeovers.get(imei) || [],
+            delivery: getDeliveryStats(imei)
+        });
+    });
+
+    // Walk tracker state, with the segmentation settings in effect for the device
+    router.get('/devices/:imei/tracker', async (req, res) => {
+        const tracker = movementTracker[req.params.imei];
+        if (!tracker) {
+            return res.status(404).json({ error: `No movement tracker for ${req.params.imei}` });
+        }
+        res.json({
+            ...describeTracker(tracker),
+            settings: await getSegmentationSettings(req.params.imei)
+        });
+    });
+
+    // Past and current TCP sessions, newest first
+    router.get('/devices/:imei/sessions', async (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+            res.json(await getSessions(req.params.imei, limit));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Online, offline and takeover events, newest first
+    router.get('/devices/:imei/events', async (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+            res.json(await getDeviceEvents(req.params.imei, limit));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Positions kept out of walks for poor GPS fix quality, newest first
+    router.get('/devices/:imei/rejected-points', async (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+            res.json(await getRejectedPoints(req.params.imei, limit));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    router.get('/devices/:imei/last-record', (req, res) => {
+        const lastRecord = lastRecords.get(req.params.imei);
+        if (!lastRecord) {
+            return res.status(404).json({ error: `No record received from ${req.params.imei}` });
+        }
+        res.json(lastRecord);
+    });
+
+    // Unknown and pending devices whose records are held in quarantine
+    router.get('/quarantine', requireAdmin, async (req, res) => {
+        try {
+            res.json(await getQuarantine());
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    router.get('/quarantine/:imei', requireAdmin, async (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+            res.json(await getQuarantinedRecords(req.params.imei, limit));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Approve a device, optionally assigning { userId, animalId, model }, and import its quarantined history
+    router.post('/quarantine/:imei/approve', requireAdmin, async (req, res) => {
+        const { userId, animalId, model } = req.body || {};
+        try {
+            const approval = await approveDevice(req.params.imei, { userId, animalId, model });
+            // A device still connected keeps the profile it was admitted with otherwise
+            setDeviceModel(req.params.imei, approval.device.model);
+            res.json(approval);
+        } catch (error) {
+            res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
+        }
+    });
+
+    // Queue a GPRS command ({ command: 'getinfo' }); it is sent now if the device is connected
+    router.post('/devices/:imei/commands', requireAdmin, async (req, res) => {
+        const { command } = req.body || {};
+        try {
+            res.status(201).json(await sendCommand(req.params.imei, command));
+        } catch (error) {
+            res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
+        }
+    });
+
+    // Commands for a device with their status and response, newest first
+    router.get('/devices/:imei/commands', requireAdmin, async (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+            res.json(await getCommands(req.params.imei, limit));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Alerts newest first, optionally filtered by ?status= and ?type=
+    router.get('/alerts', requireAdmin, async (req, res) => {
+        const filter = {};
+        if (req.query.status) filter.status = String(req.query.status);
+        if (req.query.type) filter.type = String(req.query.type);
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+            res.json(await getAlerts(filter, limit));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Move an alert along open → acknowledged → resolved
+    const alertTransition = (transition) => async (req, res) => {
+        try {
+            const alert = await transition(req.params.id);
+            if (!alert) {
+                return res.status(404).json({ error: `No alert ${req.params.id}` });
+            }
+            res.json(alert);
+        } catch (error) {
+            res.status(error.name === 'CastError' ? 400 : 500).json({ error: error.message });
+        }
+    };
+    router.post('/alerts/:id/acknowledge', requireAdmin, alertTransition(acknowledgeAlert));
+    router.post('/alerts/:id/resolve', requireAdmin, alertTransition(resolveAlert));
+
+    return router;
+}
+
+// Mount the monitoring API on the app and start listening
+function startMonitorServer(app) {
+    app.use(createMonitorRouter());
+
+    return new Promise((resolve, reject) => {
+        const httpServer = app.listen(config.MONITORING_PORT, (error) => {
+            if (error) return reject(error);
+            console.log(`📡 Monitoring server listening on port ${config.MONITORING_PORT}`);
+            resolve(httpServer);
+        });
+    });
+}
+
+module.exports = {
+    createMonitorRouter,
+    startMonitorServer
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const readline = require('readline');
+const { v4: uuidv4 } = require('uuid');
+const { RAW_PACKET_LOG, SAVE_RAW_PACKETS } = require('./config');
+
+// Capture file format: one JSON object per line.
+//   { t, conn, transport, event: 'open', remote }
+//   { t, conn, transport, event: 'data', dir: 'in' | 'out', imei, data }   (data is hex)
+//   { t, conn, transport, event: 'close', imei, reason }
+// t is an ISO timestamp and conn identifies the connection (or UDP peer).
+
+let captureStream = null;
+
+function getCaptureStream() {
+    if (!captureStream) {
+        captureStream = fs.createWriteStream(RAW_PACKET_LOG, { flags: 'a' });
+        captureStream.on('error', (error) => {
+            console.error(`❌ Packet capture error: ${error.message}`);
+        });
+        console.log(`📼 Capturing raw packets to ${RAW_PACKET_LOG}`);
+    }
+    return captureStream;
+}
+
+function writeCaptureEntry(entry) {
+    getCaptureStream().write(JSON.stringify({ t: new Date().toISOString(), ...entry }) + '\n');
+}
+
+// Start capturing a TCP connection; no-op unless SAVE_RAW_PACKETS is set
+function startCapture(socket) {
+    if (!SAVE_RAW_PACKETS) return;
+
+    socket.captureId = uuidv4();
+    writeCaptureEntry({
+        conn: socket.captureId,
+        transport: 'tcp',
+        event: 'open',
+        remote: `${socket.remoteAddress}:${socket.remotePort}`
+    });
+}
+
+// Record bytes received from or written to a captured connection
+function capturePacket(socket, direction, data) {
+    if (!SAVE_RAW_PACKETS || !socket || !socket.captureId) return;
+
+    writeCaptureEntry({
+        conn: socket.captureId,
+        transport: 'tcp',
+        event: 'data',
+        dir: direction,
+        imei: socket.deviceImei || null,
+        data: Buffer.from(data).toString('hex')
+    });
+}
+
+function endCapture(socket, reason) {
+    if (!SAVE_RAW_PACKETS || !socket.captureId) return;
+
+    writeCaptureEntry({
+        conn: socket.captureId,
+        transport: 'tcp',
+        event: 'close',
+        imei: socket.deviceImei || null,
+        reason
+    });
+}
+
+// Record a UDP datagram; each remote address:port is its own capture connection
+function captureDatagram(rinfo, direction, data, imei) {
+    if (!SAVE_RAW_PACKETS) return;
+
+    writeCaptureEntry({
+        conn: `udp:${rinfo.address}:${rinfo.port}`,
+        transport: 'udp',
+        event: 'data',
+        dir: direction,
+        imei: imei || null,
+        data: Buffer.from(data).toString('hex')
+    });
+}
+
+// Read a capture file into sessions: [{ conn, transport, remote, imei, packets: [{ time, dir, data }] }]
+async function readCapture(file) {
+    const sessions = new Map();
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            console.warn(`⚠️ Skipping malformed capture line: ${line.slice(0, 80)}`);
+            continue;
+        }
+
+        if (!sessions.has(entry.conn)) {
+            sessions.set(entry.conn, {
+                conn: entry.conn,
+                transport: entry.transport || 'tcp',
+                remote: entry.remote || null,
+                imei: null,
+                packets: []
+            });
+        }
+
+        const session = sessions.get(entry.conn);
+        if (entry.remote) session.remote = entry.remote;
+        if (entry.imei) session.imei = entry.imei;
+
+        if (entry.event === 'data') {
+            session.packets.push({
+                time: new Date(entry.t).getTime(),
+                dir: entry.dir,
+                data: Buffer.from(entry.data, 'hex')
+            });
+        }
+    }
+
+    return [...sessions.values()].filter(session => session.packets.length > 0);
+}
+
+function closeCapture() {
+    if (captureStream) {
+        captureStream.end();
+        captureStream = null;
+    }
+}
+
+module.exports = {
+    startCapture,
+    capturePacket,
+    endCapture,
+    captureDatagram,
+    readCapture,
+    closeCapture
+};
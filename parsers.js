@@ -1,7 +1,51 @@
-const { DEBUG_LOG, TMT250_IO_ELEMENTS } = require('./config');
+const config = require('./config');
+const { crc16IBM } = require('./utils');
+const { getDeviceProfile } = require('./profiles');
 
-// Function to parse Teltonika AVL data with TMT250-specific IO decoding
-function parseTeltonikaData(buffer, deviceImei) {
+// Teltonika codec IDs
+const CODEC_8 = 0x08;
+const CODEC_8_EXTENDED = 0x8E;
+const CODEC_12 = 0x0C;
+
+// Codec 12 message types
+const CODEC_12_COMMAND = 0x05;
+const CODEC_12_RESPONSE = 0x06;
+
+// Verify the framing of a complete AVL packet: the CRC-16/IBM of the data field
+// must match the trailing 4-byte CRC, and number-of-records-2 must equal
+// number-of-records-1. Returns { valid, reason } so callers can withhold the ack.
+function verifyAvlPacket(buffer) {
+    if (buffer.length < 12) {
+        return { valid: false, reason: 'length' };
+    }
+
+    const dataFieldLength = buffer.readUInt32BE(4);
+    const dataEnd = 8 + dataFieldLength;
+    if (dataFieldLength < 3 || buffer.length < dataEnd + 4) {
+        return { valid: false, reason: 'length' };
+    }
+
+    const expectedCrc = buffer.readUInt32BE(dataEnd);
+    const actualCrc = crc16IBM(buffer, 8, dataEnd);
+    if (expectedCrc !== actualCrc) {
+        console.warn(`CRC mismatch: packet says 0x${expectedCrc.toString(16)}, computed 0x${actualCrc.toString(16)}`);
+        return { valid: false, reason: 'crc' };
+    }
+
+    // Number of records 1 follows the codec ID, number of records 2 closes the data field
+    const numberOfRecords1 = buffer[9];
+    const numberOfRecords2 = buffer[dataEnd - 1];
+    if (numberOfRecords1 !== numberOfRecords2) {
+        console.warn(`Record count mismatch: ${numberOfRecords1} vs ${numberOfRecords2}`);
+        return { valid: false, reason: 'recordCount' };
+    }
+
+    return { valid: true, reason: null };
+}
+
+// Function to parse Teltonika AVL data, decoding IO elements with the device's model profile.
+// The caller verifies the packet with verifyAvlPacket first.
+function parseTeltonikaData(buffer, deviceImei, profile = getDeviceProfile()) {
     try {
         // Check for minimum packet size
         if (buffer.length < 45) { // Minimum valid packet size per specification
@@ -11,7 +55,6 @@ function parseTeltonikaData(buffer, deviceImei) {
 
         // Parse the data according to TMT250 protocol specification
         let index = 0;
-        let records = [];
         
         // Verify preamble (4 bytes of zeroes)
         const preamble = buffer.readUInt32BE(index);
@@ -35,13 +78,29 @@ function parseTeltonikaData(buffer, deviceImei) {
             console.warn(`Incomplete packet: received ${buffer.length} bytes, expected ${totalPacketSize}`);
             return [];
         }
-        
-        // Codec ID - Should be 0x08 for TMT250
+
+        return parseAvlDataArray(buffer, index, deviceImei, profile);
+    } catch (error) {
+        console.error(`Error parsing Teltonika data: ${error.message}`);
+        return [];
+    }
+}
+
+// Parse an AVL data array (codec ID, record count, records) starting at offset.
+// TCP packets wrap it in a preamble, length and CRC; UDP datagrams carry it after
+// the UDP channel header.
+function parseAvlDataArray(buffer, offset, deviceImei, profile = getDeviceProfile()) {
+    try {
+        let index = offset;
+        let records = [];
+
+        // Codec ID - 0x08 for Codec 8, 0x8E for Codec 8 Extended
         const codecID = buffer[index];
-        if (codecID !== 0x08 && codecID !== 0x8E) { // Allow extended codec 0x8E as well
-            console.warn(`Unexpected codec ID: ${codecID.toString(16)}. Expected 0x08`);
+        if (codecID !== CODEC_8 && codecID !== CODEC_8_EXTENDED) {
+            console.warn(`Unexpected codec ID: ${codecID.toString(16)}. Expected 0x08 or 0x8E`);
             return [];
         }
+        const extended = codecID === CODEC_8_EXTENDED;
         index += 1;
         
         // Number of records
@@ -59,6 +118,7 @@ function parseTeltonikaData(buffer, deviceImei) {
                 const record = {
                     deviceImei: deviceImei,
                     deviceId: deviceImei, // Add for database compatibility
+                    model: profile.model,
                     userId: null, // Will be populated by database
                     animalId: null, // Will be populated by database
                     timestamp: new Date(Number(buffer.readBigUInt64BE(index))), // Convert to Date object
@@ -137,116 +197,9 @@ function parseTeltonikaData(buffer, deviceImei) {
                 }
                 
                 // IO Element
-                if (index + 2 <= buffer.length) {
-                    // Event IO ID
-                    record.eventIOID = buffer[index];
-                    index += 1;
-                    
-                    // Total IO Elements count
-                    const totalIOElements = buffer[index];
-                    index += 1;
-                    
-                    // Process 1-byte elements
-                    if (index + 1 <= buffer.length) {
-                        const count1 = buffer[index];
-                        index += 1;
-                        
-                        for (let j = 0; j < count1 && index + 2 <= buffer.length; j++) {
-                            const id = buffer[index];
-                            index += 1;
-                            const value = buffer[index];
-                            index += 1;
-                            
-                            // Map to TMT250 elements with a descriptive name
-                            const elementName = TMT250_IO_ELEMENTS[id] || `unknown_${id}`;
-                            record.elements[id] = value;
-                            
-                            // Special handling for important fields
-                            switch (id) {
-                                case 113: // Battery Level
-                                    record.batteryLevel = value;
-                                    break;
-                                case 69: // GNSS Status
-                                    record.gnssStatus = value === 1;
-                                    break;
-                                case 240: // Movement
-                                    record.movement = value === 1;
-                                    break;
-                                case 116: // Charger Connected
-                                    record.charging = value === 1;
-                                    break;
-                                case 21: // GSM Signal
-                                    record.gsmSignal = value;
-                                    break;
-                                case 242: // ManDown
-                                    record.manDown = value === 1;
-                                    break;
-                            }
-                        }
-                    }
-                    
-                    // Process 2-byte elements
-                    if (index + 1 <= buffer.length) {
-                        const count2 = buffer[index];
-                        index += 1;
-                        
-                        for (let j = 0; j < count2 && index + 3 <= buffer.length; j++) {
-                            const id = buffer[index];
-                            index += 1;
-                            const value = buffer.readUInt16BE(index);
-                            index += 2;
-                            
-                            // Store all 2-byte elements
-                            record.elements[id] = value;
-                            
-                            // Special handling for important fields
-                            switch (id) {
-                                case 67: // Battery Voltage
-                                    record.batteryVoltage = value;
-                                    break;
-                                case 181: // GNSS PDOP
-                                    record.gnssPDOP = value / 10; // Divide by 10 for actual value
-                                    break;
-                                case 182: // GNSS HDOP
-                                    record.gnssHDOP = value / 10; // Divide by 10 for actual value
-                                    break;
-                            }
-                        }
-                    }
-                    
-                    // Process 4-byte elements
-                    if (index + 1 <= buffer.length) {
-                        const count4 = buffer[index];
-                        index += 1;
-                        
-                        for (let j = 0; j < count4 && index + 5 <= buffer.length; j++) {
-                            const id = buffer[index];
-                            index += 1;
-                            const value = buffer.readUInt32BE(index);
-                            index += 4;
-                            
-                            // Store all 4-byte elements
-                            record.elements[id] = value;
-                        }
-                    }
-                    
-                    // Process 8-byte elements
-                    if (index + 1 <= buffer.length) {
-                        const count8 = buffer[index];
-                        index += 1;
-                        
-                        for (let j = 0; j < count8 && index + 9 <= buffer.length; j++) {
-                            const id = buffer[index];
-                            index += 1;
-                            // Read as BigInt but convert to string for easier handling
-                            const value = buffer.readBigUInt64BE(index).toString();
-                            index += 8;
-                            
-                            // Store all 8-byte elements
-                            record.elements[id] = value;
-                        }
-                    }
-                }
+                index = parseIOElements(buffer, index, record, extended);
+                record.io = decodeIOElements(record.elements, profile.ioElements);
+                applyPromotions(record, profile);
                 
                 // Add the parsed record
                 records.push(record);
@@ -260,11 +213,323 @@ function parseTeltonikaData(buffer, deviceImei) {
         return records;
         
     } catch (error) {
-        console.error(`Error parsing Teltonika data: ${error.message}`);
+        console.error(`Error parsing AVL data array: ${error.message}`);
         return [];
     }
 }
 
+// Parse the IO element section of an AVL record. Codec 8 uses 1-byte event IDs,
+// counts and element IDs; Codec 8 Extended widens them to 2 bytes and appends a
+// variable-length NX section. Returns the index just past the IO section.
+function parseIOElements(buffer, index, record, extended) {
+    const idSize = extended ? 2 : 1;
+    const readId = (offset) => extended ? buffer.readUInt16BE(offset) : buffer[offset];
+
+    // Event IO ID and total IO elements count
+    if (index + idSize * 2 > buffer.length) {
+        throw new Error(`Buffer too small for IO element header at index ${index}`);
+    }
+    record.eventIOID = readId(index);
+    index += idSize;
+    const totalIOElements = readId(index);
+    index += idSize;
+
+    // Process 1-byte elements
+    if (index + idSize <= buffer.length) {
+        const count1 = readId(index);
+        index += idSize;
+
+        for (let j = 0; j < count1 && index + idSize + 1 <= buffer.length; j++) {
+            const id = readId(index);
+            index += idSize;
+            const value = buffer[index];
+            index += 1;
+
+            record.elements[id] = value;
+        }
+    }
+
+    // Process 2-byte elements
+    if (index + idSize <= buffer.length) {
+        const count2 = readId(index);
+        index += idSize;
+
+        for (let j = 0; j < count2 && index + idSize + 2 <= buffer.length; j++) {
+            const id = readId(index);
+            index += idSize;
+            const value = buffer.readUInt16BE(index);
+            index += 2;
+
+            record.elements[id] = value;
+        }
+    }
+
+    // Process 4-byte elements
+    if (index + idSize <= buffer.length) {
+        const count4 = readId(index);
+        index += idSize;
+
+        for (let j = 0; j < count4 && index + idSize + 4 <= buffer.length; j++) {
+            const id = readId(index);
+            index += idSize;
+            record.elements[id] = buffer.readUInt32BE(index);
+            index += 4;
+        }
+    }
+
+    // Process 8-byte elements
+    if (index + idSize <= buffer.length) {
+        const count8 = readId(index);
+        index += idSize;
+
+        for (let j = 0; j < count8 && index + idSize + 8 <= buffer.length; j++) {
+            const id = readId(index);
+            index += idSize;
+            // Read as BigInt but convert to string for easier handling
+            record.elements[id] = buffer.readBigUInt64BE(index).toString();
+            index += 8;
+        }
+    }
+
+    // Process variable-length NX elements (Codec 8 Extended only)
+    if (extended) {
+        if (index + 2 > buffer.length) {
+            throw new Error(`Buffer too small for NX element count at index ${index}`);
+        }
+        const countX = buffer.readUInt16BE(index);
+        index += 2;
+
+        for (let j = 0; j < countX; j++) {
+            if (index + 4 > buffer.length) {
+                throw new Error(`Buffer too small for NX element header at index ${index}`);
+            }
+            const id = buffer.readUInt16BE(index);
+            index += 2;
+            const length = buffer.readUInt16BE(index);
+            index += 2;
+            if (index + length > buffer.length) {
+                throw new Error(`Buffer too small for NX element ${id} (${length} bytes) at index ${index}`);
+            }
+            // NX values are raw bytes with no numeric meaning; tag their hex so they can't
+            // be mistaken for the decimal strings 8-byte values are kept as
+            record.elements[id] = { hex: buffer.toString('hex', index, index + length) };
+            index += length;
+        }
+    }
+
+    const parsedCount = Object.keys(record.elements).length;
+    if (config.DEBUG_LOG && parsedCount !== totalIOElements) {
+        console.warn(`IO element count mismatch: header says ${totalIOElements}, parsed ${parsedCount}`);
+    }
+
+    return index;
+}
+
+// Convert a raw IO value into its reported unit using its dictionary entry
+function decodeIOValue(rawValue, definition) {
+    // NX elements are kept as tagged hex and have no numeric meaning here
+    if (rawValue !== null && typeof rawValue === 'object') {
+        return rawValue;
+    }
+
+    // 8-byte values arrive as decimal strings; keep them exact unless signed or scaled
+    if (typeof rawValue === 'string') {
+        let big = BigInt(rawValue);
+        if (definition.signed) {
+            big = BigInt.asIntN(definition.bytes * 8, big);
+        }
+        if (definition.multiplier === 1) {
+            return big.toString();
+        }
+        rawValue = Number(big);
+    } else if (definition.signed) {
+        const bits = definition.bytes * 8;
+        if (rawValue >= 2 ** (bits - 1)) {
+            rawValue -= 2 ** bits;
+        }
+    }
+
+    if (definition.multiplier === 1) {
+        return rawValue;
+    }
+
+    // Round away floating point noise from the multiplier (e.g. 4012 * 0.001)
+    const decimals = Math.max(0, -Math.floor(Math.log10(definition.multiplier)));
+    return Number((rawValue * definition.multiplier).toFixed(decimals));
+}
+
+// Build the human-readable io object for a record from its raw elements
+function decodeIOElements(elements, dictionary = getDeviceProfile().ioElements) {
+    const io = {};
+
+    for (const [id, rawValue] of Object.entries(elements)) {
+        const definition = dictionary[id];
+        if (!definition) {
+            io[`unknown_${id}`] = { name: `Unknown ${id}`, value: rawValue, unit: null };
+            continue;
+        }
+
+        io[definition.key] = {
+            name: definition.name,
+            value: decodeIOValue(rawValue, definition),
+            unit: definition.unit
+        };
+    }
+
+    return io;
+}
+
+// Copy the IO elements the profile promotes onto top-level record fields
+function applyPromotions(record, profile) {
+    for (const [id, promotion] of Object.entries(profile.promotions)) {
+        const value = record.elements[id];
+        if (value === undefined) continue;
+
+        switch (promotion.as) {
+            case 'boolean':
+                record[promotion.field] = value === 1;
+                break;
+            case 'decoded':
+                record[promotion.field] = decodeIOValue(value, profile.ioElements[id]);
+                break;
+            default:
+                record[promotion.field] = value;
+        }
+    }
+}
+
+// Build a Codec 12 GPRS command packet (e.g. "getinfo", "setdigout 1")
+function encodeCodec12Command(command) {
+    return encodeCodec12Message(command, CODEC_12_COMMAND);
+}
+
+// Build a Codec 12 response packet, as a device answers a command
+function encodeCodec12Response(text) {
+    return encodeCodec12Message(text, CODEC_12_RESPONSE);
+}
+
+function encodeCodec12Message(command, type) {
+    const commandBytes = Buffer.from(command, 'ascii');
+    // Codec ID + quantity 1 + type + command size + command + quantity 2
+    const dataFieldLength = 1 + 1 + 1 + 4 + commandBytes.length + 1;
+    const packet = Buffer.alloc(8 + dataFieldLength + 4);
+
+    let index = 0;
+    packet.writeUInt32BE(0, index); // Preamble
+    index += 4;
+    packet.writeUInt32BE(dataFieldLength, index);
+    index += 4;
+    packet[index++] = CODEC_12;
+    packet[index++] = 1; // Command quantity 1
+    packet[index++] = type;
+    packet.writeUInt32BE(commandBytes.length, index);
+    index += 4;
+    commandBytes.copy(packet, index);
+    index += commandBytes.length;
+    packet[index++] = 1; // Command quantity 2
+    packet.writeUInt32BE(crc16IBM(packet, 8, index), index);
+
+    return packet;
+}
+
+// Build a Codec 8 AVL packet from records shaped like parseTeltonikaData output.
+// Element sizes come from the profile's IO dictionary (1 byte if unknown).
+function encodeCodec8Packet(records, profile = getDeviceProfile()) {
+    const groups = [1, 2, 4, 8];
+    const recordBuffers = records.map((record) => {
+        const bySize = { 1: [], 2: [], 4: [], 8: [] };
+        for (const [id, value] of Object.entries(record.elements || {})) {
+            const definition = profile.ioElements[id];
+            const size = definition && groups.includes(definition.bytes) ? definition.bytes : 1;
+            bySize[size].push([Number(id), value]);
+        }
+
+        const elementCount = groups.reduce((sum, size) => sum + bySize[size].length, 0);
+        const ioLength = 2 + groups.reduce((sum, size) => sum + 1 + bySize[size].length * (1 + size), 0);
+        const buffer = Buffer.alloc(8 + 1 + 15 + ioLength);
+
+        let index = 0;
+        buffer.writeBigUInt64BE(BigInt(new Date(record.timestamp).getTime()), index);
+        index += 8;
+        buffer[index++] = record.priority || 0;
+        buffer.writeInt32BE(Math.round((record.longitude || 0) * 10000000), index);
+        index += 4;
+        buffer.writeInt32BE(Math.round((record.latitude || 0) * 10000000), index);
+        index += 4;
+        buffer.writeInt16BE(Math.round(record.altitude || 0), index);
+        index += 2;
+        buffer.writeUInt16BE(Math.round(record.angle || 0), index);
+        index += 2;
+        buffer[index++] = record.satellites || 0;
+        buffer.writeUInt16BE(Math.round(record.speed || 0), index);
+        index += 2;
+
+        buffer[index++] = record.eventIOID || 0;
+        buffer[index++] = elementCount;
+        for (const size of groups) {
+            buffer[index++] = bySize[size].length;
+            for (const [id, value] of bySize[size]) {
+                buffer[index++] = id;
+                // Negative values are written as two's complement
+                const raw = BigInt.asUintN(size * 8, BigInt(value));
+                if (size === 8) {
+                    buffer.writeBigUInt64BE(raw, index);
+                } else {
+                    buffer.writeUIntBE(Number(raw), index, size);
+                }
+                index += size;
+            }
+        }
+
+        return buffer;
+    });
+
+    const data = Buffer.concat([
+        Buffer.from([CODEC_8, records.length]),
+        ...recordBuffers,
+        Buffer.from([records.length])
+    ]);
+
+    const packet = Buffer.alloc(8 + data.length + 4);
+    packet.writeUInt32BE(data.length, 4);
+    data.copy(packet, 8);
+    packet.writeUInt32BE(crc16IBM(data), 8 + data.length);
+    return packet;
+}
+
+// Parse a Codec 12 response packet from a device, already checked with
+// verifyAvlPacket. Returns { type, text } or null if it is not a Codec 12 message.
+function parseCodec12Response(buffer) {
+    if (buffer.length < 17 || buffer[8] !== CODEC_12) {
+        return null;
+    }
+
+    const type = buffer[10];
+    const size = buffer.readUInt32BE(11);
+    if (15 + size > buffer.length - 5) {
+        console.warn(`Codec 12 response size ${size} exceeds packet length`);
+        return null;
+    }
+
+    return {
+        type,
+        text: buffer.toString('ascii', 15, 15 + size)
+    };
+}
+
 module.exports = {
-    parseTeltonikaData
+    parseTeltonikaData,
+    parseAvlDataArray,
+    decodeIOElements,
+    applyPromotions,
+    verifyAvlPacket,
+    encodeCodec12Command,
+    encodeCodec12Response,
+    encodeCodec8Packet,
+    parseCodec12Response,
+    CODEC_8,
+    CODEC_8_EXTENDED,
+    CODEC_12,
+    CODEC_12_COMMAND,
+    CODEC_12_RESPONSE
 }; 
\ No newline at end of file
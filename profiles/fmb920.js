@@ -0,0 +1,74 @@
+// FMB920 vehicle tracker profile. Shares the Teltonika codec with TMT250 but
+// reports external power, odometers and vehicle events on its own IO IDs.
+
+// IO element dictionary. Each entry describes how a raw value is
+// decoded: byte size on the wire, signedness, multiplier to the reported unit.
+const ioElements = {
+    // Digital and analog IO
+    1: { key: 'din1', name: 'Digital Input 1', bytes: 1, signed: false, multiplier: 1, unit: null },
+    9: { key: 'ain1', name: 'Analog Input 1', bytes: 2, signed: false, multiplier: 0.001, unit: 'V' },
+    179: { key: 'dout1', name: 'Digital Output 1', bytes: 1, signed: false, multiplier: 1, unit: null },
+
+    // Permanent IO elements
+    11: { key: 'iccid1', name: 'ICCID1', bytes: 8, signed: false, multiplier: 1, unit: null },
+    16: { key: 'totalOdometer', name: 'Total Odometer', bytes: 4, signed: false, multiplier: 1, unit: 'm' },
+    17: { key: 'axisX', name: 'Axis X', bytes: 2, signed: true, multiplier: 1, unit: 'mG' },
+    18: { key: 'axisY', name: 'Axis Y', bytes: 2, signed: true, multiplier: 1, unit: 'mG' },
+    19: { key: 'axisZ', name: 'Axis Z', bytes: 2, signed: true, multiplier: 1, unit: 'mG' },
+    21: { key: 'gsmSignal', name: 'GSM Signal', bytes: 1, signed: false, multiplier: 1, unit: 'Enum (0-5)' },
+    24: { key: 'speed', name: 'Speed', bytes: 2, signed: false, multiplier: 1, unit: 'km/h' },
+    66: { key: 'externalVoltage', name: 'External Voltage', bytes: 2, signed: false, multiplier: 0.001, unit: 'V' },
+    67: { key: 'batteryVoltage', name: 'Battery Voltage', bytes: 2, signed: false, multiplier: 0.001, unit: 'V' },
+    68: { key: 'batteryCurrent', name: 'Battery Current', bytes: 2, signed: false, multiplier: 0.001, unit: 'A' },
+    69: { key: 'gnssStatus', name: 'GNSS Status', bytes: 1, signed: false, multiplier: 1, unit: 'Enum (0-3)' },
+    80: { key: 'dataMode', name: 'Data Mode', bytes: 1, signed: false, multiplier: 1, unit: 'Enum (0-5)' },
+    113: { key: 'batteryLevel', name: 'Battery Level', bytes: 1, signed: false, multiplier: 1, unit: '%' },
+    181: { key: 'gnssPDOP', name: 'GNSS PDOP', bytes: 2, signed: false, multiplier: 0.1, unit: null },
+    182: { key: 'gnssHDOP', name: 'GNSS HDOP', bytes: 2, signed: false, multiplier: 0.1, unit: null },
+    199: { key: 'tripOdometer', name: 'Trip Odometer', bytes: 4, signed: false, multiplier: 1, unit: 'm' },
+    200: { key: 'sleepMode', name: 'Sleep Mode', bytes: 1, signed: false, multiplier: 1, unit: 'Enum (0-4)' },
+    205: { key: 'gsmCellId', name: 'GSM Cell ID', bytes: 2, signed: false, multiplier: 1, unit: null },
+    206: { key: 'gsmAreaCode', name: 'GSM Area Code', bytes: 2, signed: false, multiplier: 1, unit: null },
+    237: { key: 'networkType', name: 'Network Type', bytes: 1, signed: false, multiplier: 1, unit: 'Enum (0-1)' },
+    239: { key: 'ignition', name: 'Ignition', bytes: 1, signed: false, multiplier: 1, unit: null },
+    240: { key: 'movement', name: 'Movement', bytes: 1, signed: false, multiplier: 1, unit: null },
+    241: { key: 'activeGsmOperator', name: 'Active GSM Operator', bytes: 4, signed: false, multiplier: 1, unit: null },
+
+    // Special events
+    175: { key: 'autoGeofence', name: 'Auto Geofence', bytes: 1, signed: false, multiplier: 1, unit: null },
+    246: { key: 'towing', name: 'Towing', bytes: 1, signed: false, multiplier: 1, unit: null },
+    247: { key: 'crashDetection', name: 'Crash Detection', bytes: 1, signed: false, multiplier: 1, unit: null },
+    249: { key: 'jamming', name: 'Jamming', bytes: 1, signed: false, multiplier: 1, unit: null },
+    250: { key: 'trip', name: 'Trip', bytes: 1, signed: false, multiplier: 1, unit: null },
+    251: { key: 'idling', name: 'Idling', bytes: 1, signed: false, multiplier: 1, unit: null },
+    252: { key: 'unplug', name: 'Unplug', bytes: 1, signed: false, multiplier: 1, unit: null },
+    253: { key: 'greenDrivingType', name: 'Green Driving Type', bytes: 1, signed: false, multiplier: 1, unit: 'Enum (1-3)' },
+    254: { key: 'greenDrivingValue', name: 'Green Driving Value', bytes: 1, signed: false, multiplier: 0.01, unit: 'g' },
+    255: { key: 'overSpeeding', name: 'Over Speeding', bytes: 1, signed: false, multiplier: 1, unit: 'km/h' }
+};
+
+// Record fields promoted from IO elements. "boolean" promotes value === 1,
+// "raw" copies the value as received, "decoded" uses the dictionary scaling.
+const promotions = {
+    113: { field: 'batteryLevel', as: 'raw' },
+    69: { field: 'gnssStatus', as: 'boolean' },
+    240: { field: 'movement', as: 'boolean' },
+    239: { field: 'ignition', as: 'boolean' },
+    21: { field: 'gsmSignal', as: 'raw' },
+    67: { field: 'batteryVoltage', as: 'raw' },
+    66: { field: 'externalVoltage', as: 'decoded' },
+    181: { field: 'gnssPDOP', as: 'decoded' },
+    182: { field: 'gnssHDOP', as: 'decoded' }
+};
+
+// IO elements that raise alerts while non-zero, mapped to the alert type
+const alerts = {
+    255: 'overSpeeding'
+};
+
+module.exports = {
+    model: 'FMB920',
+    ioElements,
+    promotions,
+    alerts
+};
@@ -0,0 +1,67 @@
+// GH5200 personal tracker profile. Close to TMT250, but external power, battery
+// current and the SOS/call buttons sit on different IO IDs.
+
+// IO element dictionary. Each entry describes how a raw value is
+// decoded: byte size on the wire, signedness, multiplier to the reported unit.
+const ioElements = {
+    // Buttons and digital inputs
+    1: { key: 'sosButton', name: 'SOS Button', bytes: 1, signed: false, multiplier: 1, unit: null },
+    2: { key: 'callButton1', name: 'Call Button 1', bytes: 1, signed: false, multiplier: 1, unit: null },
+    3: { key: 'callButton2', name: 'Call Button 2', bytes: 1, signed: false, multiplier: 1, unit: null },
+
+    // Permanent IO elements
+    11: { key: 'iccid1', name: 'ICCID', bytes: 8, signed: false, multiplier: 1, unit: null },
+    17: { key: 'axisX', name: 'Axis X', bytes: 2, signed: true, multiplier: 1, unit: 'mG' },
+    18: { key: 'axisY', name: 'Axis Y', bytes: 2, signed: true, multiplier: 1, unit: 'mG' },
+    19: { key: 'axisZ', name: 'Axis Z', bytes: 2, signed: true, multiplier: 1, unit: 'mG' },
+    21: { key: 'gsmSignal', name: 'GSM Signal', bytes: 1, signed: false, multiplier: 1, unit: 'Enum (0-5)' },
+    24: { key: 'speed', name: 'Speed', bytes: 2, signed: false, multiplier: 1, unit: 'km/h' },
+    66: { key: 'externalVoltage', name: 'External Voltage', bytes: 2, signed: false, multiplier: 0.001, unit: 'V' },
+    67: { key: 'batteryVoltage', name: 'Battery Voltage', bytes: 2, signed: false, multiplier: 0.001, unit: 'V' },
+    68: { key: 'batteryCurrent', name: 'Battery Current', bytes: 2, signed: true, multiplier: 0.001, unit: 'A' },
+    69: { key: 'gnssStatus', name: 'GNSS Status', bytes: 1, signed: false, multiplier: 1, unit: 'Enum (0-3)' },
+    80: { key: 'dataMode', name: 'Data Mode', bytes: 1, signed: false, multiplier: 1, unit: 'Enum (0-5)' },
+    113: { key: 'batteryLevel', name: 'Battery Level', bytes: 1, signed: false, multiplier: 1, unit: '%' },
+    116: { key: 'chargerConnected', name: 'Charger Connected', bytes: 1, signed: false, multiplier: 1, unit: null },
+    181: { key: 'gnssPDOP', name: 'GNSS PDOP', bytes: 2, signed: false, multiplier: 0.1, unit: null },
+    182: { key: 'gnssHDOP', name: 'GNSS HDOP', bytes: 2, signed: false, multiplier: 0.1, unit: null },
+    200: { key: 'sleepMode', name: 'Sleep Mode', bytes: 1, signed: false, multiplier: 1, unit: 'Enum (0-4)' },
+    205: { key: 'gsmCellId', name: 'GSM Cell ID', bytes: 2, signed: false, multiplier: 1, unit: null },
+    206: { key: 'gsmAreaCode', name: 'GSM Area Code', bytes: 2, signed: false, multiplier: 1, unit: null },
+    240: { key: 'movement', name: 'Movement', bytes: 1, signed: false, multiplier: 1, unit: null },
+    241: { key: 'activeGsmOperator', name: 'Active GSM Operator', bytes: 4, signed: false, multiplier: 1, unit: null },
+
+    // Special events
+    175: { key: 'autoGeofence', name: 'Auto Geofence', bytes: 1, signed: false, multiplier: 1, unit: null },
+    236: { key: 'alarm', name: 'Alarm', bytes: 1, signed: false, multiplier: 1, unit: null },
+    242: { key: 'manDown', name: 'ManDown', bytes: 1, signed: false, multiplier: 1, unit: null },
+    255: { key: 'overSpeeding', name: 'Over Speeding', bytes: 1, signed: false, multiplier: 1, unit: 'km/h' }
+};
+
+// Record fields promoted from IO elements. "boolean" promotes value === 1,
+// "raw" copies the value as received, "decoded" uses the dictionary scaling.
+const promotions = {
+    113: { field: 'batteryLevel', as: 'raw' },
+    69: { field: 'gnssStatus', as: 'boolean' },
+    240: { field: 'movement', as: 'boolean' },
+    116: { field: 'charging', as: 'boolean' },
+    21: { field: 'gsmSignal', as: 'raw' },
+    242: { field: 'manDown', as: 'boolean' },
+    67: { field: 'batteryVoltage', as: 'raw' },
+    181: { field: 'gnssPDOP', as: 'decoded' },
+    182: { field: 'gnssHDOP', as: 'decoded' }
+};
+
+// IO elements that raise alerts while non-zero, mapped to the alert type
+const alerts = {
+    236: 'alarm',
+    242: 'manDown',
+    255: 'overSpeeding'
+};
+
+module.exports = {
+    model: 'GH5200',
+    ioElements,
+    promotions,
+    alerts
+};
@@ -0,0 +1,33 @@
+const tmt250 = require('./tmt250');
+const fmb920 = require('./fmb920');
+const gh5200 = require('./gh5200');
+
+// Device-model profiles keyed by model name. Add a module here to support a new model.
+const DEVICE_PROFILES = {
+    [tmt250.model]: tmt250,
+    [fmb920.model]: fmb920,
+    [gh5200.model]: gh5200
+};
+
+const DEFAULT_DEVICE_MODEL = tmt250.model;
+
+// Look up the profile for a device model, falling back to the default model
+function getDeviceProfile(model) {
+    if (!model) {
+        return DEVICE_PROFILES[DEFAULT_DEVICE_MODEL];
+    }
+
+    const profile = DEVICE_PROFILES[model];
+    if (!profile) {
+        console.warn(`⚠️ Unknown device model ${model}, decoding as ${DEFAULT_DEVICE_MODEL}`);
+        return DEVICE_PROFILES[DEFAULT_DEVICE_MODEL];
+    }
+
+    return profile;
+}
+
+module.exports = {
+    DEVICE_PROFILES,
+    DEFAULT_DEVICE_MODEL,
+    getDeviceProfile
+};
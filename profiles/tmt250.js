@@ -0,0 +1,119 @@
+// TMT250 personal tracker profile. Default model for devices without one.
+
+// IO element dictionary. Each entry describes how a raw value is
+// decoded: byte size on the wire, signedness, multiplier to the reported unit.
+const ioElements = {
+    // Digital Inputs
+    1: { key: 'din1', name: 'din1', bytes: 1, signed: false, multiplier: 1, unit: null },
+    2: { key: 'din2', name: 'din2', bytes: 1, signed: false, multiplier: 1, unit: null },
+    3: { key: 'din3', name: 'din3', bytes: 1, signed: false, multiplier: 1, unit: null },
+    4: { key: 'din4', name: 'din4', bytes: 1, signed: false, multiplier: 1, unit: null },
+    
+    // Permanent IO elements
+    11: { key: 'iccid1', name: 'ICCID', bytes: 8, signed: false, multiplier: 1, unit: null },
+    14: { key: 'iccid2', name: 'ICCID2', bytes: 8, signed: false, multiplier: 1, unit: null },
+    17: { key: 'axisX', name: 'Axis X', bytes: 2, signed: true, multiplier: 1, unit: 'mG' },
+    18: { key: 'axisY', name: 'Axis Y', bytes: 2, signed: true, multiplier: 1, unit: 'mG' },
+    19: { key: 'axisZ', name: 'Axis Z', bytes: 2, signed: true, multiplier: 1, unit: 'mG' },
+    21: { key: 'gsmSignal', name: 'GSM Signal', bytes: 1, signed: false, multiplier: 1, unit: 'Enum (0-5)' },
+    24: { key: 'speed', name: 'Speed', bytes: 2, signed: false, multiplier: 1, unit: 'km/h' },
+    25: { key: 'externalVoltage', name: 'External Voltage', bytes: 2, signed: false, multiplier: 0.001, unit: 'V' },
+    67: { key: 'batteryVoltage', name: 'Battery Voltage', bytes: 2, signed: false, multiplier: 0.001, unit: 'V' },
+    69: { key: 'gnssStatus', name: 'GNSS Status', bytes: 1, signed: false, multiplier: 1, unit: 'Enum (0-3)' },
+    80: { key: 'dataMode', name: 'Data Mode', bytes: 1, signed: false, multiplier: 1, unit: 'Enum (0-5)', description: 'Current data mode' },
+    113: { key: 'batteryLevel', name: 'Battery Level', bytes: 1, signed: false, multiplier: 1, unit: '%' },
+    116: { key: 'chargerConnected', name: 'Charger Connected', bytes: 1, signed: false, multiplier: 1, unit: null },
+    181: { key: 'gnssPDOP', name: 'GNSS PDOP', bytes: 2, signed: false, multiplier: 0.1, unit: null },
+    182: { key: 'gnssHDOP', name: 'GNSS HDOP', bytes: 2, signed: false, multiplier: 0.1, unit: null },
+    200: { key: 'sleepMode', name: 'Sleep Mode', bytes: 1, signed: false, multiplier: 1, unit: 'Enum (0-4)' },
+    205: { key: 'gsmCellId', name: 'GSM Cell ID', bytes: 2, signed: false, multiplier: 1, unit: null },
+    206: { key: 'gsmAreaCode', name: 'GSM Area Code', bytes: 2, signed: false, multiplier: 1, unit: null },
+    240: { key: 'movement', name: 'Movement', bytes: 1, signed: false, multiplier: 1, unit: null },
+    241: { key: 'activeGsmOperator', name: 'Active GSM Operator', bytes: 4, signed: false, multiplier: 1, unit: null },
+    
+    // Geofence zones
+    155: { key: 'geofenceZone01', name: 'Geofence zone 01', bytes: 1, signed: false, multiplier: 1, unit: null },
+    156: { key: 'geofenceZone02', name: 'Geofence zone 02', bytes: 1, signed: false, multiplier: 1, unit: null },
+    157: { key: 'geofenceZone03', name: 'Geofence zone 03', bytes: 1, signed: false, multiplier: 1, unit: null },
+    158: { key: 'geofenceZone04', name: 'Geofence zone 04', bytes: 1, signed: false, multiplier: 1, unit: null },
+    159: { key: 'geofenceZone05', name: 'Geofence zone 05', bytes: 1, signed: false, multiplier: 1, unit: null },
+    61: { key: 'geofenceZone06', name: 'Geofence zone 06', bytes: 1, signed: false, multiplier: 1, unit: null },
+    62: { key: 'geofenceZone07', name: 'Geofence zone 07', bytes: 1, signed: false, multiplier: 1, unit: null },
+    63: { key: 'geofenceZone08', name: 'Geofence zone 08', bytes: 1, signed: false, multiplier: 1, unit: null },
+    64: { key: 'geofenceZone09', name: 'Geofence zone 09', bytes: 1, signed: false, multiplier: 1, unit: null },
+    65: { key: 'geofenceZone10', name: 'Geofence zone 10', bytes: 1, signed: false, multiplier: 1, unit: null },
+    70: { key: 'geofenceZone11', name: 'Geofence zone 11', bytes: 1, signed: false, multiplier: 1, unit: null },
+    88: { key: 'geofenceZone12', name: 'Geofence zone 12', bytes: 1, signed: false, multiplier: 1, unit: null },
+    91: { key: 'geofenceZone13', name: 'Geofence zone 13', bytes: 1, signed: false, multiplier: 1, unit: null },
+    92: { key: 'geofenceZone14', name: 'Geofence zone 14', bytes: 1, signed: false, multiplier: 1, unit: null },
+    93: { key: 'geofenceZone15', name: 'Geofence zone 15', bytes: 1, signed: false, multiplier: 1, unit: null },
+    94: { key: 'geofenceZone16', name: 'Geofence zone 16', bytes: 1, signed: false, multiplier: 1, unit: null },
+    95: { key: 'geofenceZone17', name: 'Geofence zone 17', bytes: 1, signed: false, multiplier: 1, unit: null },
+    96: { key: 'geofenceZone18', name: 'Geofence zone 18', bytes: 1, signed: false, multiplier: 1, unit: null },
+    97: { key: 'geofenceZone19', name: 'Geofence zone 19', bytes: 1, signed: false, multiplier: 1, unit: null },
+    98: { key: 'geofenceZone20', name: 'Geofence zone 20', bytes: 1, signed: false, multiplier: 1, unit: null },
+    99: { key: 'geofenceZone21', name: 'Geofence zone 21', bytes: 1, signed: false, multiplier: 1, unit: null },
+    153: { key: 'geofenceZone22', name: 'Geofence zone 22', bytes: 1, signed: false, multiplier: 1, unit: null },
+    154: { key: 'geofenceZone23', name: 'Geofence zone 23', bytes: 1, signed: false, multiplier: 1, unit: null },
+    190: { key: 'geofenceZone24', name: 'Geofence zone 24', bytes: 1, signed: false, multiplier: 1, unit: null },
+    191: { key: 'geofenceZone25', name: 'Geofence zone 25', bytes: 1, signed: false, multiplier: 1, unit: null },
+    192: { key: 'geofenceZone26', name: 'Geofence zone 26', bytes: 1, signed: false, multiplier: 1, unit: null },
+    193: { key: 'geofenceZone27', name: 'Geofence zone 27', bytes: 1, signed: false, multiplier: 1, unit: null },
+    194: { key: 'geofenceZone28', name: 'Geofence zone 28', bytes: 1, signed: false, multiplier: 1, unit: null },
+    195: { key: 'geofenceZone29', name: 'Geofence zone 29', bytes: 1, signed: false, multiplier: 1, unit: null },
+    196: { key: 'geofenceZone30', name: 'Geofence zone 30', bytes: 1, signed: false, multiplier: 1, unit: null },
+    197: { key: 'geofenceZone31', name: 'Geofence zone 31', bytes: 1, signed: false, multiplier: 1, unit: null },
+    198: { key: 'geofenceZone32', name: 'Geofence zone 32', bytes: 1, signed: false, multiplier: 1, unit: null },
+    208: { key: 'geofenceZone33', name: 'Geofence zone 33', bytes: 1, signed: false, multiplier: 1, unit: null },
+    209: { key: 'geofenceZone34', name: 'Geofence zone 34', bytes: 1, signed: false, multiplier: 1, unit: null },
+    216: { key: 'geofenceZone35', name: 'Geofence zone 35', bytes: 1, signed: false, multiplier: 1, unit: null },
+    217: { key: 'geofenceZone36', name: 'Geofence zone 36', bytes: 1, signed: false, multiplier: 1, unit: null },
+    218: { key: 'geofenceZone37', name: 'Geofence zone 37', bytes: 1, signed: false, multiplier: 1, unit: null },
+    219: { key: 'geofenceZone38', name: 'Geofence zone 38', bytes: 1, signed: false, multiplier: 1, unit: null },
+    220: { key: 'geofenceZone39', name: 'Geofence zone 39', bytes: 1, signed: false, multiplier: 1, unit: null },
+    221: { key: 'geofenceZone40', name: 'Geofence zone 40', bytes: 1, signed: false, multiplier: 1, unit: null },
+    222: { key: 'geofenceZone41', name: 'Geofence zone 41', bytes: 1, signed: false, multiplier: 1, unit: null },
+    223: { key: 'geofenceZone42', name: 'Geofence zone 42', bytes: 1, signed: false, multiplier: 1, unit: null },
+    224: { key: 'geofenceZone43', name: 'Geofence zone 43', bytes: 1, signed: false, multiplier: 1, unit: null },
+    225: { key: 'geofenceZone44', name: 'Geofence zone 44', bytes: 1, signed: false, multiplier: 1, unit: null },
+    226: { key: 'geofenceZone45', name: 'Geofence zone 45', bytes: 1, signed: false, multiplier: 1, unit: null },
+    227: { key: 'geofenceZone46', name: 'Geofence zone 46', bytes: 1, signed: false, multiplier: 1, unit: null },
+    228: { key: 'geofenceZone47', name: 'Geofence zone 47', bytes: 1, signed: false, multiplier: 1, unit: null },
+    229: { key: 'geofenceZone48', name: 'Geofence zone 48', bytes: 1, signed: false, multiplier: 1, unit: null },
+    230: { key: 'geofenceZone49', name: 'Geofence zone 49', bytes: 1, signed: false, multiplier: 1, unit: null },
+    231: { key: 'geofenceZone50', name: 'Geofence zone 50', bytes: 1, signed: false, multiplier: 1, unit: null },
+    
+    // Special events
+    175: { key: 'autoGeofence', name: 'Auto Geofence', bytes: 1, signed: false, multiplier: 1, unit: null },
+    236: { key: 'alarm', name: 'Alarm', bytes: 1, signed: false, multiplier: 1, unit: null },
+    242: { key: 'manDown', name: 'ManDown', bytes: 1, signed: false, multiplier: 1, unit: null },
+    255: { key: 'overSpeeding', name: 'Over Speeding', bytes: 1, signed: false, multiplier: 1, unit: 'km/h' }
+};
+
+// Record fields promoted from IO elements. "boolean" promotes value === 1,
+// "raw" copies the value as received, "decoded" uses the dictionary scaling.
+const promotions = {
+    113: { field: 'batteryLevel', as: 'raw' },
+    69: { field: 'gnssStatus', as: 'boolean' },
+    240: { field: 'movement', as: 'boolean' },
+    116: { field: 'charging', as: 'boolean' },
+    21: { field: 'gsmSignal', as: 'raw' },
+    242: { field: 'manDown', as: 'boolean' },
+    67: { field: 'batteryVoltage', as: 'raw' },
+    181: { field: 'gnssPDOP', as: 'decoded' },
+    182: { field: 'gnssHDOP', as: 'decoded' }
+};
+
+// IO elements that raise alerts while non-zero, mapped to the alert type
+const alerts = {
+    236: 'alarm',
+    242: 'manDown',
+    255: 'overSpeeding'
+};
+
+module.exports = {
+    model: 'TMT250',
+    ioElements,
+    promotions,
+    alerts
+};
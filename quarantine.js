@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const QuarantinedRecord = require('./models/QuarantinedRecord');
+const { Device, saveDeviceData, isDatabaseConnected } = require('./database');
+const { DEVICE_PROFILES, DEFAULT_DEVICE_MODEL } = require('./profiles');
+const config = require('./config');
+
+// Records are imported into DeviceData in batches of this size on approval
+const IMPORT_BATCH_SIZE = 500;
+
+// IMEIs whose records currently go to quarantine instead of DeviceData
+const quarantinedImeis = new Set();
+
+// Decide what to do with a device that has no active Device document, according
+// to UNKNOWN_DEVICE_MODE. Returns device info to accept the connection with (its
+// records quarantined), or null to reject it. Pending devices are always accepted.
+async function admitUnknownDevice(imei, deviceInfo) {
+    if (deviceInfo && deviceInfo.status === 'pending') {
+        quarantinedImeis.add(imei);
+        return deviceInfo;
+    }
+
+    switch (config.UNKNOWN_DEVICE_MODE) {
+        case 'provision': {
+            const device = await Device.findOneAndUpdate(
+                { deviceId: imei },
+                { $setOnInsert: { deviceId: imei, status: 'pending', model: DEFAULT_DEVICE_MODEL } },
+                { upsert: true, new: true }
+            ).lean();
+            console.log(`🆕 Provisioned pending device ${imei}, awaiting approval`);
+            quarantinedImeis.add(imei);
+            return { deviceId: imei, model: device.model, status: device.status, _id: device._id };
+        }
+        case 'quarantine':
+            if (!quarantinedImeis.has(imei)) {
+                console.log(`🧪 Accepting unknown device ${imei} into quarantine`);
+                quarantinedImeis.add(imei);
+            }
+            return { deviceId: imei, model: DEFAULT_DEVICE_MODEL, status: 'quarantined', _id: null };
+        default:
+            return null;
+    }
+}
+
+function isQuarantined(imei) {
+    return quarantinedImeis.has(imei);
+}
+
+// Keep records from an unapproved device until an admin approves it. Returns the
+// number of records kept, or null if they could not be stored.
+async function quarantineRecords(imei, records, transport = 'tcp') {
+    const documents = records
+        .filter(record => record.timestamp && !isNaN(new Date(record.timestamp).getTime()))
+        .map(record => ({
+            deviceImei: imei,
+            model: record.model,
+            transport,
+            timestamp: new Date(record.timestamp),
+            record
+        }));
+    if (documents.length === 0) return 0;
+
+    // With commands unbuffered a write while disconnected would never settle;
+    // refuse it so the records are resent instead
+    if (!isDatabaseConnected()) {
+        console.error(`❌ Cannot quarantine records from ${imei}: database disconnected`);
+        return null;
+    }
+
+    try {
+        await QuarantinedRecord.bulkWrite(documents.map(document => ({ insertOne: { document } })), { ordered: false });
+        console.log(`🧪 Quarantined ${documents.length} record(s) from ${imei}`);
+        return documents.length;
+    } catch (error) {
+        console.error(`❌ Failed to quarantine records from ${imei}: ${error.message}`);
+        return null;
+    }
+}
+
+// Quarantined IMEIs with record counts and time range, plus their pending Device if any
+async function getQuarantine() {
+    const summaries = await QuarantinedRecord.aggregate([
+        {
+            $group: {
+                _id: '$deviceImei',
+                records: { $sum: 1 },
+                firstRecordAt: { $min: '$timestamp' },
+                lastRecordAt: { $max: '$timestamp' },
+                lastReceivedAt: { $max: '$createdAt' }
+            }
+        },
+        { $sort: { lastReceivedAt: -1 } }
+    ]);
+    const pending = await Device.find({ status: 'pending' }).lean();
+
+    const byImei = new Map(pending.map(device => [device.deviceId, {
+        imei: device.deviceId,
+        pendingDeviceId: device._id,
+        records: 0,
+        firstRecordAt: null,
+        lastRecordAt: null,
+        lastReceivedAt: null
+    }]));
+    for (const { _id: imei, ...summary } of summaries) {
+        byImei.set(imei, {
+            imei,
+            pendingDeviceId: byImei.has(imei) ? byImei.get(imei).pendingDeviceId : null,
+            ...summary
+        });
+    }
+    return [...byImei.values()];
+}
+
+async function getQuarantinedRecords(imei, limit = 100) {
+    return QuarantinedRecord.find({ deviceImei: imei }).sort({ timestamp: -1 }).limit(limit).lean();
+}
+
+// Approval input errors carry the same name as mongoose validation errors, so the
+// API can answer both with 400
+function validationError(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+}
+
+// Approve a quarantined or pending device: create or activate its Device with the
+// given user, animal and model, then import its quarantined history into DeviceData.
+async function approveDevice(imei, { userId, animalId, model } = {}) {
+    for (const [name, value] of Object.entries({ userId, animalId })) {
+        if (value !== undefined && value !== null && !mongoose.isValidObjectId(value)) {
+            throw validationError(`${name} must be an ObjectId`);
+        }
+    }
+    if (model !== undefined && !DEVICE_PROFILES[model]) {
+        throw validationError(`model must be one of ${Object.keys(DEVICE_PROFILES).join(', ')}`);
+    }
+
+    const update = { status: 'active' };
+    if (userId !== undefined) update.userId = userId;
+    if (animalId !== undefined) update.animalId = animalId;
+    if (model !== undefined) update.model = model;
+
+    const device = await Device.findOneAndUpdate(
+        { deviceId: imei },
+        { $set: update, $setOnInsert: { deviceId: imei } },
+        { upsert: true, new: true }
+    ).lean();
+
+    // New records go to DeviceData from now on; import what was quarantined until
+    // none is left, so records quarantined during the import are not missed
+    quarantinedImeis.delete(imei);
+
+    let imported = 0;
+    while (true) {
+        const batch = await QuarantinedRecord.find({ deviceImei: imei })
+            .sort({ timestamp: 1 })
+            .limit(IMPORT_BATCH_SIZE)
+            .lean();
+        if (batch.length === 0) break;
+
+        const result = await saveDeviceData(imei, batch.map(entry => entry.record));
+        if (!result || result.deviceNotFound) {
+            throw new Error(`Import of quarantined records for ${imei} failed, ${imported} imported so far`);
+        }
+        imported += result.inserted;
+        await QuarantinedRecord.deleteMany({ _id: { $in: batch.map(entry => entry._id) } });
+    }
+
+    console.log(`✅ Approved device ${imei}, imported ${imported} quarantined record(s)`);
+    return { device, imported };
+}
+
+module.exports = {
+    admitUnknownDevice,
+    isQuarantined,
+    quarantineRecords,
+    getQuarantine,
+    getQuarantinedRecords,
+    approveDevice
+};
@@ -0,0 +1,31 @@
+const RejectedPoint = require('./models/RejectedPoint');
+
+// Keep a position the fix quality filter kept out of walks, with the reason
+async function recordRejectedPoint(imei, rejection) {
+    const { point, reason, satellites, hdop, impliedSpeed } = rejection;
+    console.log(`🛰️ Device ${imei}: Rejected point at ${point.timestamp.toISOString()} (${reason})`);
+
+    try {
+        await RejectedPoint.create({
+            deviceImei: imei,
+            timestamp: point.timestamp,
+            latitude: point.latitude,
+            longitude: point.longitude,
+            reason,
+            satellites,
+            hdop,
+            impliedSpeed
+        });
+    } catch (error) {
+        console.error(`❌ Error recording rejected point for ${imei}: ${error.message}`);
+    }
+}
+
+async function getRejectedPoints(imei, limit = 100) {
+    return RejectedPoint.find({ deviceImei: imei }).sort({ timestamp: -1 }).limit(limit).lean();
+}
+
+module.exports = {
+    recordRejectedPoint,
+    getRejectedPoints
+};
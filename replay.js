@@ -0,0 +1,261 @@
+require('dotenv').config(); // Load environment variables
+
+const net = require('net');
+const dgram = require('dgram');
+const { readCapture } = require('./packetCapture');
+
+// How long to wait for each response the server sent in the capture
+const RESPONSE_TIMEOUT = 10000;
+
+const USAGE = `Usage: node replay.js <capture-file> [options]
+
+Replays captured device sessions. Without --target the server pipeline is started
+in-process (using MONGODB_URI) and the capture is fed through it.
+
+Options:
+  --target host:port      Replay TCP sessions against a running server
+  --udp-target host:port  Replay UDP sessions against a running server
+  --speed N               Playback speed multiplier (default 1, 0 = as fast as possible)
+  --imei IMEI             Only replay sessions of this device
+  --conn ID               Only replay this capture connection`;
+
+function parseHostPort(value) {
+    const [host, port] = value.split(':');
+    if (!host || !port || isNaN(parseInt(port))) {
+        throw new Error(`Invalid host:port "${value}"`);
+    }
+    return { host, port: parseInt(port) };
+}
+
+function parseArgs(argv) {
+    const options = { file: null, target: null, udpTarget: null, speed: 1, imei: null, conn: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--target':
+                options.target = parseHostPort(argv[++i] || '');
+                break;
+            case '--udp-target':
+                options.udpTarget = parseHostPort(argv[++i] || '');
+                break;
+            case '--speed':
+                options.speed = parseFloat(argv[++i]);
+                if (isNaN(options.speed) || options.speed < 0) {
+                    throw new Error('--speed must be a number >= 0');
+                }
+                break;
+            case '--imei':
+                options.imei = argv[++i];
+                break;
+            case '--conn':
+                options.conn = argv[++i];
+                break;
+            default:
+                if (arg.startsWith('--') || options.file) {
+                    throw new Error(`Unexpected argument "${arg}"`);
+                }
+                options.file = arg;
+        }
+    }
+
+    if (!options.file) {
+        throw new Error('Missing capture file');
+    }
+    return options;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Wait until the packet's captured time, scaled by the playback speed
+async function waitForPacketTime(packet, clock) {
+    if (clock.speed === 0) return;
+    const due = clock.startedAt + (packet.time - clock.captureStart) / clock.speed;
+    const delay = due - Date.now();
+    if (delay > 0) await sleep(delay);
+}
+
+function compareResponse(summary, expected, actual) {
+    if (actual && expected.equals(actual)) {
+        summary.matched++;
+    } else {
+        summary.mismatched++;
+        console.warn(`⚠️ [${summary.conn}] Response mismatch: expected ${expected.toString('hex')}, got ${actual ? actual.toString('hex') : 'nothing'}`);
+    }
+}
+
+// Replay one TCP session, comparing the server's responses with the captured ones
+function replayTcpSession(session, target, clock) {
+    const summary = { conn: session.conn, imei: session.imei, sent: 0, matched: 0, mismatched: 0, error: null };
+
+    return new Promise((resolve) => {
+        let received = Buffer.alloc(0);
+        let consumed = 0;
+        let waiter = null;
+
+        const socket = net.connect(target.port, target.host);
+
+        socket.on('data', (data) => {
+            received = Buffer.concat([received, data]);
+            if (waiter) waiter();
+        });
+        socket.on('error', (error) => {
+            summary.error = error.message;
+            if (waiter) waiter();
+        });
+
+        // Resolve with the next `length` response bytes, or whatever arrived by the timeout
+        const readResponse = (length) => new Promise((done) => {
+            const finish = () => {
+                clearTimeout(timer);
+                waiter = null;
+                const chunk = received.subarray(consumed, consumed + length);
+                consumed += chunk.length;
+                done(chunk.length > 0 ? Buffer.from(chunk) : null);
+            };
+            const timer = setTimeout(finish, RESPONSE_TIMEOUT);
+            waiter = () => {
+                if (received.length - consumed >= length || summary.error) finish();
+            };
+            waiter();
+        });
+
+        socket.on('connect', async () => {
+            for (const packet of session.packets) {
+                if (summary.error) break;
+
+                if (packet.dir === 'in') {
+                    await waitForPacketTime(packet, clock);
+                    socket.write(packet.data);
+                    summary.sent++;
+                } else {
+                    compareResponse(summary, packet.data, await readResponse(packet.data.length));
+                }
+            }
+
+            socket.end();
+            resolve(summary);
+        });
+
+        socket.on('close', () => resolve(summary));
+    });
+}
+
+// Replay one UDP session; each captured outbound datagram is compared with the next reply
+function replayUdpSession(session, target, clock) {
+    const summary = { conn: session.conn, imei: session.imei, sent: 0, matched: 0, mismatched: 0, error: null };
+    const socket = dgram.createSocket('udp4');
+    const replies = [];
+    let waiter = null;
+
+    socket.on('message', (message) => {
+        replies.push(message);
+        if (waiter) waiter();
+    });
+
+    const readReply = () => new Promise((done) => {
+        const finish = () => {
+            clearTimeout(timer);
+            waiter = null;
+            done(replies.shift() || null);
+        };
+        const timer = setTimeout(finish, RESPONSE_TIMEOUT);
+        waiter = () => {
+            if (replies.length > 0) finish();
+        };
+        waiter();
+    });
+
+    return (async () => {
+        for (const packet of session.packets) {
+            if (packet.dir === 'in') {
+                await waitForPacketTime(packet, clock);
+                socket.send(packet.data, target.port, target.host);
+                summary.sent++;
+            } else {
+                compareResponse(summary, packet.data, await readReply());
+            }
+        }
+        socket.close();
+        return summary;
+    })();
+}
+
+// Start the device servers in this process on free ports
+async function startInProcessServers() {
+    const { connectToDatabase } = require('./database');
+    const { server } = require('./deviceServer');
+    const { startUdpServer } = require('./udpServer');
+
+    await connectToDatabase();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const udpServer = await startUdpServer(0);
+
+    return {
+        target: { host: '127.0.0.1', port: server.address().port },
+        udpTarget: { host: '127.0.0.1', port: udpServer.address().port }
+    };
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+
+    const sessions = (await readCapture(options.file)).filter(session =>
+        (!options.imei || session.imei === options.imei) &&
+        (!options.conn || session.conn === options.conn)
+    );
+    if (sessions.length === 0) {
+        console.error('❌ No matching sessions in capture');
+        process.exit(1);
+    }
+
+    let { target, udpTarget } = options;
+    if (!target && !udpTarget) {
+        ({ target, udpTarget } = await startInProcessServers());
+        console.log(`🔁 Replaying through in-process server on port ${target.port}`);
+    }
+
+    // Keep the relative timing between sessions as well as within them
+    const clock = {
+        speed: options.speed,
+        startedAt: Date.now(),
+        captureStart: Math.min(...sessions.map(session => session.packets[0].time))
+    };
+
+    console.log(`▶️ Replaying ${sessions.length} session(s) from ${options.file} at ${options.speed === 0 ? 'full' : options.speed + 'x'} speed`);
+
+    const summaries = await Promise.all(sessions.map((session) => {
+        if (session.transport === 'udp') {
+            if (!udpTarget) {
+                console.warn(`⚠️ Skipping UDP session ${session.conn}: no --udp-target`);
+                return null;
+            }
+            return replayUdpSession(session, udpTarget, clock);
+        }
+        if (!target) {
+            console.warn(`⚠️ Skipping TCP session ${session.conn}: no --target`);
+            return null;
+        }
+        return replayTcpSession(session, target, clock);
+    }));
+
+    let failed = false;
+    for (const summary of summaries.filter(Boolean)) {
+        const status = summary.error || summary.mismatched > 0 ? '❌' : '✅';
+        console.log(`${status} ${summary.conn} (${summary.imei || 'no IMEI'}): sent ${summary.sent}, responses matched ${summary.matched}, mismatched ${summary.mismatched}${summary.error ? `, error: ${summary.error}` : ''}`);
+        if (status === '❌') failed = true;
+    }
+
+    process.exit(failed ? 1 : 0);
+}
+
+main().catch((error) => {
+    console.error('❌ Replay failed:', error);
+    process.exit(1);
+});
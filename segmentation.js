@@ -0,0 +1,228 @@
+const config = require('./config');
+const { assessFix, impliedSpeed, smoothPoint } = require('./fixQuality');
+
+// Walk segmentation as a pure state machine over a device's records. Each step takes
+// the tracker state and one record and returns the next state plus the actions the
+// caller should carry out; nothing here touches the database, so the live tracker
+// and backlog reconstruction share the same rules.
+//
+// Phases:
+//   idle     - at rest, no walk in progress
+//   pending  - moving, but not yet for startDuration; points are held back
+//   walking  - a walk has been started and points are appended as they arrive
+//
+// Actions:
+//   { type: 'startWalk', points, startTime }   - create a walk from the held points
+//   { type: 'appendPoint', point }             - add a point to the current walk
+//   { type: 'endWalk', endTime }               - close the walk; it ends at its last moving
+//                                                point, and at the time the device stopped
+//   { type: 'resumeWalk', startTime }          - reopen the walk just closed; movement came
+//                                                back within resumeWindow of its stop
+//   { type: 'rejectPoint', point, reason }     - the record's fix was too poor for a walk
+
+const MOVEMENT_SOURCES = ['io240', 'speed', 'both'];
+
+// Fields a segmentation profile or per-device override may set
+const SETTING_KEYS = [
+    'movementSource', 'minSpeed', 'startDuration', 'stopDuration', 'resumeWindow',
+    'maxHdop', 'minSatellites', 'maxSpeed', 'smoothingWindow'
+];
+
+function createTrackerState() {
+    return {
+        phase: 'idle',
+        movementStartTime: null,
+        stoppedAt: null, // First rest record since the device last moved
+        pendingPoints: [],
+        lastWalkStart: null, // The walk closed by the last stop, while it can still resume
+        lastWalkEnd: null,
+        lastPoint: null,
+        lastFix: null, // Last position accepted for walks
+        jumpCandidate: null, // Last position rejected as a speed jump
+        recentFixes: [] // Accepted positions averaged by smoothing
+    };
+}
+
+// Server-wide defaults from config, overridden by a named profile and then by the
+// device's own settings. Unset values fall through to the level below.
+function resolveSegmentationSettings(...overrides) {
+    const settings = {
+        movementSource: config.WALK_MOVEMENT_SOURCE,
+        minSpeed: config.WALK_MIN_SPEED,
+        startDuration: config.WALK_START_DURATION,
+        stopDuration: config.WALK_STOP_DURATION,
+        resumeWindow: config.WALK_RESUME_WINDOW,
+        maxHdop: config.FIX_MAX_HDOP,
+        minSatellites: config.FIX_MIN_SATELLITES,
+        maxSpeed: config.FIX_MAX_SPEED,
+        smoothingWindow: config.FIX_SMOOTHING_WINDOW
+    };
+
+    for (const override of overrides) {
+        if (!override) continue;
+        for (const key of SETTING_KEYS) {
+            if (override[key] !== undefined && override[key] !== null) {
+                settings[key] = override[key];
+            }
+        }
+    }
+    return settings;
+}
+
+function toPoint(record) {
+    const latitude = record.positionLatitude || record.latitude;
+    const longitude = record.positionLongitude || record.longitude;
+    const timestamp = new Date(record.timestamp);
+
+    if (!latitude || !longitude || isNaN(latitude) || isNaN(longitude) || isNaN(timestamp.getTime())) {
+        return null;
+    }
+    return { latitude, longitude, timestamp };
+}
+
+// Whether a record counts as movement: the device's movement flag (IO 240), its
+// speed, or both together
+function isMoving(record, settings) {
+    const flag = record.movementStatus === true || record.movement === true;
+    const speed = record.positionSpeed !== undefined ? record.positionSpeed : record.speed;
+    const fast = typeof speed === 'number' && speed > settings.minSpeed;
+
+    switch (settings.movementSource) {
+        case 'speed': return fast;
+        case 'both': return flag && fast;
+        default: return flag;
+    }
+}
+
+// Check the record's fix and return the smoothed walk point, or null if the fix is
+// rejected. Updates the fix history on `next` and reports rejections in `actions`.
+function acceptFix(next, record, point, settings, actions) {
+    let rejection = assessFix(record, point, next.lastFix, settings);
+
+    // Two fixes in a row that agree with each other but not with the last accepted
+    // one: that one was the outlier, so follow the new position
+    if (rejection && rejection.reason === 'speed_jump' && next.jumpCandidate &&
+        impliedSpeed(next.jumpCandidate, point) <= settings.maxSpeed) {
+        rejection = null;
+        next.recentFixes = [next.jumpCandidate];
+    }
+
+    if (rejection) {
+        if (rejection.reason === 'speed_jump') next.jumpCandidate = point;
+        actions.push({ type: 'rejectPoint', point, ...rejection });
+        return null;
+    }
+
+    next.jumpCandidate = null;
+    next.lastFix = point;
+    next.recentFixes = [...(next.recentFixes || []), point].slice(-Math.max(settings.smoothingWindow, 1));
+    return smoothPoint(next.recentFixes);
+}
+
+// Advance the tracker by one record. The given state is not modified. Records
+// without a usable position, or not newer than the last one, leave it unchanged.
+function stepSegmentation(state, record, settings) {
+    const point = toPoint(record);
+    if (!point || (state.lastPoint && point.timestamp <= state.lastPoint.timestamp)) {
+        return { state, actions: [] };
+    }
+
+    const next = { ...state, lastPoint: point };
+    const actions = [];
+    const time = point.timestamp;
+
+    // Only usable fixes become walk points. Rejected records still count for
+    // movement, so a walk can end while the fix is poor, e.g. indoors.
+    const walkPoint = acceptFix(next, record, point, settings, actions);
+
+    if (isMoving(record, settings)) {
+        // Movement after a rest longer than resumeWindow starts over
+        if (next.stoppedAt && time - next.stoppedAt > settings.resumeWindow) {
+            if (next.phase === 'walking') {
+                actions.push({ type: 'endWalk', endTime: next.stoppedAt });
+            }
+            next.phase = 'idle';
+        }
+        next.stoppedAt = null;
+
+        // Moving again within resumeWindow of the stop that closed the last walk
+        if (next.phase === 'idle' && next.lastWalkEnd && time - next.lastWalkEnd <= settings.resumeWindow) {
+            actions.push({ type: 'resumeWalk', startTime: next.lastWalkStart });
+            next.phase = 'walking';
+            next.movementStartTime = next.lastWalkStart;
+        }
+        next.lastWalkStart = null;
+        next.lastWalkEnd = null;
+
+        if (next.phase === 'idle') {
+            next.phase = 'pending';
+            next.movementStartTime = time;
+            next.pendingPoints = [];
+        }
+
+        if (next.phase === 'pending') {
+            if (walkPoint) next.pendingPoints = [...next.pendingPoints, walkPoint];
+            if (time - next.movementStartTime >= settings.startDuration && next.pendingPoints.length > 0) {
+                actions.push({ type: 'startWalk', points: next.pendingPoints, startTime: next.pendingPoints[0].timestamp });
+                next.phase = 'walking';
+                next.pendingPoints = [];
+            }
+        } else if (walkPoint) {
+            actions.push({ type: 'appendPoint', point: walkPoint });
+        }
+    } else if (next.phase !== 'idle') {
+        if (!next.stoppedAt) next.stoppedAt = time;
+
+        if (time - next.stoppedAt >= settings.stopDuration) {
+            if (next.phase === 'walking') {
+                actions.push({ type: 'endWalk', endTime: next.stoppedAt });
+                Object.assign(next, { lastWalkStart: next.movementStartTime, lastWalkEnd: next.stoppedAt });
+            }
+            Object.assign(next, { phase: 'idle', movementStartTime: null, stoppedAt: null, pendingPoints: [] });
+        }
+    }
+
+    return { state: next, actions };
+}
+
+// Split chronologically sorted records into completed walks using the same rules.
+// A walk still in progress at the end of the records is closed at its last point.
+function segmentWalks(records, settings = resolveSegmentationSettings()) {
+    const walks = [];
+    let state = createTrackerState();
+    let current = null;
+
+    for (const record of records) {
+        const step = stepSegmentation(state, record, settings);
+        state = step.state;
+
+        for (const action of step.actions) {
+            if (action.type === 'startWalk') {
+                current = { points: [...action.points], startTime: action.startTime };
+            } else if (action.type === 'appendPoint') {
+                current.points.push(action.point);
+            } else if (action.type === 'endWalk') {
+                walks.push({ ...current, endTime: action.endTime });
+                current = null;
+            } else if (action.type === 'resumeWalk') {
+                const { endTime, ...walk } = walks.pop();
+                current = walk;
+            }
+        }
+    }
+
+    if (current) {
+        walks.push({ ...current, endTime: current.points[current.points.length - 1].timestamp });
+    }
+    return walks;
+}
+
+module.exports = {
+    MOVEMENT_SOURCES,
+    SETTING_KEYS,
+    createTrackerState,
+    resolveSegmentationSettings,
+    isMoving,
+    stepSegmentation,
+    segmentWalks
+};
@@ -0,0 +1,43 @@
+const SegmentationProfile = require('./models/SegmentationProfile');
+const { getDeviceInfoByDeviceId } = require('./database');
+const { resolveSegmentationSettings } = require('./segmentation');
+
+// A device's profile and overrides are looked up at most this often, so edits in
+// the database apply within a minute without a query per record
+const SETTINGS_CACHE_TTL = 60000;
+
+const cache = new Map();
+
+async function loadDeviceSegmentation(imei) {
+    const deviceInfo = await getDeviceInfoByDeviceId(imei);
+    if (!deviceInfo) return { profile: null, overrides: null };
+
+    let profile = null;
+    if (deviceInfo.segmentationProfile) {
+        profile = await SegmentationProfile.findOne({ name: deviceInfo.segmentationProfile }).lean();
+        if (!profile) {
+            console.warn(`⚠️ Device ${imei} uses unknown segmentation profile ${deviceInfo.segmentationProfile}, using defaults`);
+        }
+    }
+    return { profile, overrides: deviceInfo.segmentation };
+}
+
+// Walk segmentation settings for a device: config defaults, then its profile, then
+// its own overrides. Config is applied on every call so a reload takes effect at once.
+async function getSegmentationSettings(imei) {
+    let entry = cache.get(imei);
+    if (!entry || Date.now() - entry.loadedAt > SETTINGS_CACHE_TTL) {
+        try {
+            entry = { ...(await loadDeviceSegmentation(imei)), loadedAt: Date.now() };
+            cache.set(imei, entry);
+        } catch (error) {
+            console.error(`❌ Error loading segmentation settings for ${imei}: ${error.message}`);
+            if (!entry) return resolveSegmentationSettings();
+        }
+    }
+    return resolveSegmentationSettings(entry.profile, entry.overrides);
+}
+
+module.exports = {
+    getSegmentationSettings
+};
@@ -0,0 +1,75 @@
+const DeviceSession = require('./models/DeviceSession');
+
+// Create the session document once the device has identified itself. The id is
+// kept on the socket as a promise so closing never races the insert.
+function openSession(socket) {
+    if (socket.sessionId) return;
+
+    socket.sessionId = DeviceSession.create({
+        deviceImei: socket.deviceImei,
+        remoteIp: socket.remoteAddress,
+        remotePort: socket.remotePort,
+        transport: socket.tls ? 'tls' : 'tcp',
+        tls: socket.tls || undefined,
+        startedAt: socket.connectedAt || new Date()
+    })
+        .then(session => session._id)
+        .catch((error) => {
+            console.error(`❌ Error recording session for ${socket.deviceImei}: ${error.message}`);
+            return null;
+        });
+}
+
+// Write the end time, close reason and traffic counters of a session
+async function closeSession(socket) {
+    if (!socket.sessionId) return;
+
+    const sessionId = await socket.sessionId;
+    if (!sessionId) return;
+
+    const { stats } = socket;
+    try {
+        await DeviceSession.updateOne({ _id: sessionId }, {
+            $set: {
+                endedAt: new Date(),
+                closeReason: socket.closeReason || 'closed',
+                error: socket.closeError || undefined,
+                bytesIn: stats.bytesReceived,
+                bytesOut: stats.bytesSent,
+                packetsIn: stats.packetsReceived,
+                packetsOut: stats.packetsSent,
+                parseFailures: stats.parseFailures,
+                recordsReceived: stats.recordsReceived,
+                recordsAccepted: stats.recordsAccepted
+            }
+        });
+    } catch (error) {
+        console.error(`❌ Error closing session for ${socket.deviceImei}: ${error.message}`);
+    }
+}
+
+// Sessions still open in the database were cut short by a crash or kill
+async function closeInterruptedSessions() {
+    try {
+        const result = await DeviceSession.updateMany(
+            { endedAt: null },
+            { $set: { endedAt: new Date(), closeReason: 'interrupted' } }
+        );
+        if (result.modifiedCount > 0) {
+            console.log(`🧹 Closed ${result.modifiedCount} session(s) interrupted by the last shutdown`);
+        }
+    } catch (error) {
+        console.error(`❌ Error closing interrupted sessions: ${error.message}`);
+    }
+}
+
+async function getSessions(imei, limit = 50) {
+    return DeviceSession.find({ deviceImei: imei }).sort({ startedAt: -1 }).limit(limit).lean();
+}
+
+module.exports = {
+    openSession,
+    closeSession,
+    closeInterruptedSessions,
+    getSessions
+};
@@ -0,0 +1,322 @@
+const config = require('./config');
+const { crc16IBM } = require('./utils');
+const { CODEC_8, CODEC_8_EXTENDED, CODEC_12 } = require('./parsers');
+
+// IMEI handshake length prefix accepted from devices
+const IMEI_MIN_LENGTH = 15;
+const IMEI_MAX_LENGTH = 17;
+
+// Largest AVL data field per specification (max bytes per record * max records)
+const MAX_AVL_DATA_LENGTH = 783 * 255;
+
+// JSON frames are small status messages; anything bigger is treated as garbage
+const MAX_JSON_FRAME = 16384;
+
+const KNOWN_CODECS = [CODEC_8, CODEC_8_EXTENDED, CODEC_12];
+
+const INCOMPLETE = { status: 'incomplete' };
+const INVALID = { status: 'invalid' };
+
+// Check the CRC of a complete AVL/Codec 12 packet without logging
+function hasValidCrc(packet) {
+    const dataEnd = packet.length - 4;
+    return packet.readUInt32BE(dataEnd) === crc16IBM(packet, 8, dataEnd)
+        && packet[9] === packet[dataEnd - 1];
+}
+
+// IMEI handshake: 2-byte length followed by that many ASCII digits
+function matchImeiFrame(buffer) {
+    const imeiLength = buffer[1];
+    const available = Math.min(buffer.length, 2 + imeiLength);
+
+    for (let i = 2; i < available; i++) {
+        if (buffer[i] < 0x30 || buffer[i] > 0x39) return INVALID;
+    }
+    if (buffer.length < 2 + imeiLength) return INCOMPLETE;
+
+    return {
+        status: 'complete',
+        length: 2 + imeiLength,
+        frame: {
+            type: 'imei',
+            imei: buffer.toString('ascii', 2, 2 + imeiLength),
+            raw: Buffer.from(buffer.subarray(0, 2 + imeiLength))
+        }
+    };
+}
+
+// AVL or Codec 12 packet: zero preamble, data length, data field, 4-byte CRC
+function matchAvlFrame(buffer, maxDataLength) {
+    for (let i = 2; i < Math.min(4, buffer.length); i++) {
+        if (buffer[i] !== 0) return INVALID;
+    }
+    if (buffer.length < 9) return INCOMPLETE;
+
+    const dataLength = buffer.readUInt32BE(4);
+    if (dataLength < 3 || dataLength > maxDataLength) return INVALID;
+
+    const codecId = buffer[8];
+    if (!KNOWN_CODECS.includes(codecId)) return INVALID;
+
+    const totalLength = 8 + dataLength + 4;
+    if (buffer.length < totalLength) return INCOMPLETE;
+
+    const raw = Buffer.from(buffer.subarray(0, totalLength));
+    return {
+        status: 'complete',
+        length: totalLength,
+        frame: {
+            type: 'avl',
+            codecId,
+            valid: hasValidCrc(raw),
+            raw
+        }
+    };
+}
+
+// Progress of a JSON frame scan, kept between pushes so that bytes already read
+// are not read again when the frame arrives in pieces
+function createJsonScan() {
+    return { position: 0, depth: 0, inString: false, escaped: false };
+}
+
+// JSON object: scan for the matching closing brace, honouring strings. The scan
+// continues from `scan`. An object not closed within MAX_JSON_FRAME bytes is given
+// up on. Invalid results carry `resumeAt`, the first offset a frame could start at:
+// no JSON object starting inside the scanned bytes is looked for again, and binary
+// frames start with a control byte, which ends the scan.
+function matchJsonFrame(buffer, scan) {
+    const end = Math.min(buffer.length, MAX_JSON_FRAME);
+
+    for (; scan.position < end; scan.position++) {
+        const i = scan.position;
+        const byte = buffer[i];
+
+        // Control bytes other than whitespace mean this is binary, not JSON
+        if (byte < 0x20 && byte !== 0x09 && byte !== 0x0A && byte !== 0x0D) {
+            return { status: 'invalid', resumeAt: i };
+        }
+
+        if (scan.inString) {
+            if (scan.escaped) {
+                scan.escaped = false;
+            } else if (byte === 0x5C) {
+                scan.escaped = true;
+            } else if (byte === 0x22) {
+                scan.inString = false;
+            }
+            continue;
+        }
+
+        if (byte === 0x22) {
+            scan.inString = true;
+        } else if (byte === 0x7B) {
+            scan.depth++;
+        } else if (byte === 0x7D) {
+            scan.depth--;
+            if (scan.depth === 0) {
+                const raw = Buffer.from(buffer.subarray(0, i + 1));
+                try {
+                    return {
+                        status: 'complete',
+                        length: i + 1,
+                        frame: { type: 'json', data: JSON.parse(raw.toString()), raw }
+                    };
+                } catch (error) {
+                    return { status: 'invalid', resumeAt: i + 1 };
+                }
+            }
+        }
+    }
+
+    return scan.position >= MAX_JSON_FRAME ? { status: 'invalid', resumeAt: MAX_JSON_FRAME } : INCOMPLETE;
+}
+
+// Try to read one IMEI, AVL or Codec 12 frame at the start of the buffer
+function matchBinaryFrame(buffer, maxDataLength) {
+    if (buffer.length === 0) return INCOMPLETE;
+    if (buffer[0] !== 0x00) return INVALID;
+    if (buffer.length < 2) return INCOMPLETE;
+
+    if (buffer[1] >= IMEI_MIN_LENGTH && buffer[1] <= IMEI_MAX_LENGTH) {
+        return matchImeiFrame(buffer);
+    }
+    if (buffer[1] !== 0x00) return INVALID;
+
+    return matchAvlFrame(buffer, maxDataLength);
+}
+
+// Create a framer for one TCP connection. push() takes each received chunk and
+// returns the complete IMEI, AVL and JSON frames it completes, in order. Bytes that
+// cannot start a frame are dropped up to the next plausible frame start, so garbage
+// never costs the valid frames around it.
+//
+// Every scan picks up where the previous push stopped, so the work done for a
+// connection grows with the bytes it sends, however they are split into chunks.
+function createStreamFramer(options = {}) {
+    const maxBufferSize = options.maxBufferSize || config.MAX_SOCKET_BUFFER;
+    const maxDataLength = Math.min(MAX_AVL_DATA_LENGTH, maxBufferSize - 12);
+    const onDiscard = options.onDiscard || (() => {});
+
+    // Unframed bytes are `buffer`, a view into `storage` from `start`. Storage grows
+    // by doubling, so appending a chunk doesn't copy everything held before it.
+    let storage = Buffer.alloc(0);
+    let start = 0;
+    let buffer = storage;
+
+    // Stream offset of buffer[0], which identifies scans across pushes
+    let consumed = 0;
+
+    // The JSON frame scan in progress, by stream offset of its opening brace
+    let jsonScan = null;
+
+    // A packet at the head that failed its CRC, held while a frame found inside it
+    // arrives, with the offset the search inside it has reached
+    let suspect = null;
+
+    const stats = {
+        framesEmitted: 0,
+        bytesDiscarded: 0,
+        overflows: 0,
+        bytesScanned: 0 // Bytes read while looking for frames, to keep the cost in check
+    };
+
+    function append(chunk) {
+        const length = buffer.length + chunk.length;
+        if (start + length > storage.length) {
+            const grown = Buffer.allocUnsafe(Math.max(length * 2, 4096));
+            buffer.copy(grown, 0);
+            storage = grown;
+            start = 0;
+        }
+        chunk.copy(storage, start + buffer.length);
+        buffer = storage.subarray(start, start + length);
+    }
+
+    // Drop bytes from the head of the buffer
+    function advance(length) {
+        buffer = buffer.subarray(length);
+        start += length;
+        consumed += length;
+        if (buffer.length === 0) {
+            // Let a connection that sent a burst give the memory back
+            storage = Buffer.alloc(0);
+            start = 0;
+            buffer = storage;
+        }
+    }
+
+    // Try to read one frame at the given offset of the buffer
+    function matchAt(offset) {
+        const view = buffer.subarray(offset);
+        if (view[0] !== 0x7B) {
+            stats.bytesScanned++;
+            return matchBinaryFrame(view, maxDataLength);
+        }
+
+        const scanStart = consumed + offset;
+        if (!jsonScan || jsonScan.start !== scanStart) {
+            jsonScan = { start: scanStart, ...createJsonScan() };
+        }
+        const scannedBefore = jsonScan.position;
+        const match = matchJsonFrame(view, jsonScan);
+        stats.bytesScanned += jsonScan.position - scannedBefore;
+        if (match.status !== 'incomplete') jsonScan = null;
+        return match;
+    }
+
+    // Offset of the next plausible frame start in [from, to), or -1. An opening
+    // brace counts without scanning; it is scanned once it is at the head.
+    function findFrameStart(from, to) {
+        for (let i = from; i < to; i++) {
+            if (buffer[i] === 0x7B) return i;
+            stats.bytesScanned++;
+            if (matchBinaryFrame(buffer.subarray(i), maxDataLength).status !== 'invalid') return i;
+        }
+        return -1;
+    }
+
+    // Look inside a packet that failed its CRC for a frame that passes its checks,
+    // or one not fully received yet. Returns { offset, complete } or null.
+    function findFrameInside(length, from) {
+        let i = from;
+        while (i < length) {
+            const match = matchAt(i);
+            if (match.status === 'incomplete') return { offset: i, complete: false };
+            if (match.status === 'complete' && match.frame.valid !== false) return { offset: i, complete: true };
+            i += match.resumeAt || 1;
+        }
+        return null;
+    }
+
+    function discard(length, reason) {
+        advance(length);
+        stats.bytesDiscarded += length;
+        onDiscard(length, reason);
+    }
+
+    function push(chunk) {
+        append(chunk);
+        const frames = [];
+
+        while (buffer.length > 0) {
+            const held = suspect && suspect.head === consumed ? suspect : null;
+            suspect = null;
+            const match = held ? held.match : matchAt(0);
+
+            if (match.status === 'incomplete') break;
+
+            if (match.status === 'complete') {
+                // A packet failing its CRC may be garbage that happened to look like a
+                // header; prefer a valid frame hiding inside it, waiting for the rest
+                // of that frame if needed
+                if (match.frame.valid === false) {
+                    const inside = findFrameInside(match.length, held ? held.from : 1);
+                    if (inside && inside.complete) {
+                        discard(inside.offset, 'garbage');
+                        continue;
+                    }
+                    if (inside && buffer.length < maxBufferSize) {
+                        suspect = { head: consumed, match, from: inside.offset };
+                        break;
+                    }
+                }
+
+                frames.push(match.frame);
+                stats.framesEmitted++;
+                advance(match.length);
+                continue;
+            }
+
+            // A JSON scan rules out everything it read; otherwise resynchronise on
+            // the next byte that could start a frame
+            if (match.resumeAt) {
+                discard(match.resumeAt, 'garbage');
+                continue;
+            }
+            const next = findFrameStart(1, buffer.length);
+            discard(next === -1 ? buffer.length : next, 'garbage');
+        }
+
+        if (buffer.length > maxBufferSize) {
+            stats.overflows++;
+            suspect = null;
+            jsonScan = null;
+            discard(buffer.length, 'overflow');
+        }
+
+        return frames;
+    }
+
+    return {
+        push,
+        stats,
+        get bufferedLength() {
+            return buffer.length;
+        }
+    };
+}
+
+module.exports = {
+    createStreamFramer
+};
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTeltonikaData, verifyAvlPacket } = require('../parsers');
+const { crc16IBM } = require('../utils');
+
+// The Codec 8 Extended example from the Teltonika protocol documentation: one record
+// with one element of each fixed size, two 8-byte elements and no NX elements
+const SPEC_SAMPLE = '000000000000004A8E010000016B412CEE000100000000000000000000000000000000010005000100010100010011001D00010010015E2C880002000B000000003544C87A000E000000001DD7E06A00000100002994';
+
+// The same record with the NX section replaced by the given elements, framed and CRC'd
+function withNxElements(nxElements) {
+    const sample = Buffer.from(SPEC_SAMPLE, 'hex');
+    const nx = [Buffer.from([0, nxElements.length])];
+    for (const [id, hex] of nxElements) {
+        const header = Buffer.alloc(4);
+        header.writeUInt16BE(id, 0);
+        header.writeUInt16BE(hex.length / 2, 2);
+        nx.push(header, Buffer.from(hex, 'hex'));
+    }
+
+    // Everything up to the empty NX count, then the new NX section and number of records 2
+    const data = Buffer.concat([sample.subarray(8, sample.length - 7), ...nx, Buffer.from([1])]);
+    const packet = Buffer.alloc(8 + data.length + 4);
+    packet.writeUInt32BE(data.length, 4);
+    data.copy(packet, 8);
+    packet.writeUInt32BE(crc16IBM(packet, 8, 8 + data.length), 8 + data.length);
+    return packet;
+}
+
+test('decodes the Codec 8 Extended example from the protocol documentation', () => {
+    const packet = Buffer.from(SPEC_SAMPLE, 'hex');
+    assert.deepStrictEqual(verifyAvlPacket(packet), { valid: true, reason: null });
+
+    const records = parseTeltonikaData(packet, '352093081452251');
+    assert.strictEqual(records.length, 1);
+
+    const [record] = records;
+    assert.strictEqual(record.timestamp, Date.parse('2019-06-10T11:36:32Z'));
+    assert.strictEqual(record.priority, 1);
+    assert.strictEqual(record.eventIOID, 1);
+    assert.deepStrictEqual(record.elements, {
+        1: 1,
+        17: 29,
+        16: 22949000,
+        11: '893700218',
+        14: '500686954'
+    });
+});
+
+test('keeps NX values as tagged hex, apart from the decimal strings of 8-byte values', () => {
+    const packet = withNxElements([[300, '1234'], [301, '0a0b0c']]);
+    assert.deepStrictEqual(verifyAvlPacket(packet), { valid: true, reason: null });
+
+    const [record] = parseTeltonikaData(packet, '352093081452251');
+    assert.deepStrictEqual(record.elements[300], { hex: '1234' });
+    assert.deepStrictEqual(record.elements[301], { hex: '0a0b0c' });
+    assert.strictEqual(record.elements[11], '893700218');
+    assert.deepStrictEqual(record.io.unknown_300.value, { hex: '1234' });
+});
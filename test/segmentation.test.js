@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTrackerState, resolveSegmentationSettings, stepSegmentation, segmentWalks } = require('../segmentation');
+
+const START = Date.parse('2026-01-01T08:00:00Z');
+
+// Fix quality checks and smoothing off, so only movement decides
+const SETTINGS = {
+    movementSource: 'io240',
+    minSpeed: 0,
+    startDuration: 60000,
+    stopDuration: 120000,
+    resumeWindow: 300000,
+    maxHdop: 0,
+    minSatellites: 0,
+    maxSpeed: 0,
+    smoothingWindow: 1
+};
+
+function record(seconds, moving) {
+    return {
+        timestamp: new Date(START + seconds * 1000),
+        latitude: 54.6872 + seconds * 0.00001,
+        longitude: 25.2797,
+        movementStatus: moving
+    };
+}
+
+// Records every 10 s from `from` to `to` seconds, inclusive
+function records(from, to, moving) {
+    const result = [];
+    for (let seconds = from; seconds <= to; seconds += 10) result.push(record(seconds, moving));
+    return result;
+}
+
+function run(recordList, settings = SETTINGS) {
+    let state = createTrackerState();
+    const actions = [];
+    for (const next of recordList) {
+        const step = stepSegmentation(state, next, settings);
+        state = step.state;
+        actions.push(...step.actions);
+    }
+    return { state, actions };
+}
+
+function times(points) {
+    return points.map(point => point.timestamp.getTime());
+}
+
+test('holds points back until movement lasts startDuration, then starts the walk with them', () => {
+    const { state: pending, actions: early } = run(records(0, 50, true));
+    assert.deepStrictEqual(early, []);
+    assert.strictEqual(pending.phase, 'pending');
+    assert.strictEqual(pending.pendingPoints.length, 6);
+
+    const { state, actions } = run(records(0, 60, true));
+    assert.strictEqual(state.phase, 'walking');
+    assert.deepStrictEqual(actions.map(action => action.type), ['startWalk']);
+    assert.deepStrictEqual(times(actions[0].points), times(records(0, 60, true)));
+    assert.strictEqual(actions[0].startTime.getTime(), START);
+});
+
+test('movement shorter than startDuration makes no walk', () => {
+    const walks = segmentWalks([...records(0, 50, true), ...records(60, 300, false)], SETTINGS);
+    assert.deepStrictEqual(walks, []);
+});
+
+test('a rest of stopDuration ends the walk at its last moving point and the time it stopped', () => {
+    const { state, actions } = run([...records(0, 100, true), ...records(110, 230, false)]);
+    assert.strictEqual(state.phase, 'idle');
+
+    const end = actions.find(action => action.type === 'endWalk');
+    assert.strictEqual(end.endTime.getTime(), START + 110000);
+    assert.strictEqual(end.point, undefined);
+
+    const [walk] = segmentWalks([...records(0, 100, true), ...records(110, 230, false)], SETTINGS);
+    assert.deepStrictEqual(times(walk.points), times(records(0, 100, true)));
+    assert.strictEqual(walk.endTime.getTime(), START + 110000);
+});
+
+test('movement again within stopDuration continues the same walk', () => {
+    const walks = segmentWalks([
+        ...records(0, 100, true),
+        ...records(110, 200, false),
+        ...records(210, 300, true),
+        ...records(310, 430, false)
+    ], SETTINGS);
+
+    assert.strictEqual(walks.length, 1);
+    assert.deepStrictEqual(times(walks[0].points), times([...records(0, 100, true), ...records(210, 300, true)]));
+    assert.strictEqual(walks[0].endTime.getTime(), START + 310000);
+});
+
+test('movement after a gap longer than resumeWindow ends the walk when it stopped and starts afresh', () => {
+    const { state, actions } = run([
+        ...records(0, 100, true),
+        record(110, false),
+        ...records(500, 560, true)
+    ]);
+
+    assert.deepStrictEqual(actions.map(action => action.type), ['startWalk', ...Array(4).fill('appendPoint'), 'endWalk', 'startWalk']);
+    const end = actions.find(action => action.type === 'endWalk');
+    assert.strictEqual(end.endTime.getTime(), START + 110000);
+    assert.strictEqual(state.movementStartTime.getTime(), START + 500000);
+
+    const walks = segmentWalks([...records(0, 100, true), record(110, false), ...records(500, 560, true)], SETTINGS);
+    assert.strictEqual(walks.length, 2);
+    assert.strictEqual(walks[0].endTime.getTime(), START + 110000);
+    assert.deepStrictEqual(times(walks[0].points), times(records(0, 100, true)));
+});
+
+test('with the default settings, movement within the resume window reopens a walk a stop closed', () => {
+    const settings = resolveSegmentationSettings();
+    const walking = records(0, 600, true);
+    const resting = records(610, 1000, false); // Longer than the default stopDuration
+    const again = records(1100, 1200, true); // Within the default resumeWindow of 610 s
+
+    const { state, actions } = run([...walking, ...resting, ...again], settings);
+    const types = actions.map(action => action.type);
+    assert.deepStrictEqual(types.filter(type => type !== 'appendPoint'), ['startWalk', 'endWalk', 'resumeWalk']);
+    assert.strictEqual(state.phase, 'walking');
+    assert.strictEqual(actions.find(action => action.type === 'resumeWalk').startTime.getTime(), START);
+
+    const walks = segmentWalks([...walking, ...resting, ...again, ...records(1210, 1600, false)], settings);
+    assert.strictEqual(walks.length, 1);
+    assert.deepStrictEqual(times(walks[0].points), times([...walking, ...again]));
+    assert.strictEqual(walks[0].endTime.getTime(), START + 1210000);
+});
+
+test('with the default settings, movement after the resume window starts a new walk', () => {
+    const settings = resolveSegmentationSettings();
+    const walks = segmentWalks([
+        ...records(0, 600, true),
+        ...records(610, 1300, false),
+        ...records(1310, 1700, true),
+        ...records(1710, 2100, false)
+    ], settings);
+
+    assert.strictEqual(walks.length, 2);
+    assert.strictEqual(walks[0].endTime.getTime(), START + 610000);
+    assert.strictEqual(walks[1].startTime.getTime(), START + 1310000);
+});
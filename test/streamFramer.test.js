@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStreamFramer } = require('../streamFramer');
+const { encodeCodec8Packet } = require('../parsers');
+
+const IMEI = '356307042441013';
+
+function imeiFrame(imei = IMEI) {
+    return Buffer.concat([Buffer.from([0x00, imei.length]), Buffer.from(imei, 'ascii')]);
+}
+
+function avlPacket(latitude = 54.6872) {
+    return encodeCodec8Packet([{ timestamp: new Date('2026-01-01T00:00:00Z'), latitude, longitude: 25.2797, satellites: 9, speed: 4 }]);
+}
+
+function frameTypes(frames) {
+    return frames.map(frame => frame.type);
+}
+
+test('emits a frame split across several chunks once it is complete', () => {
+    const framer = createStreamFramer({ maxBufferSize: 65536 });
+    const packet = avlPacket();
+
+    assert.deepStrictEqual(framer.push(packet.subarray(0, 5)), []);
+    assert.deepStrictEqual(framer.push(packet.subarray(5, 20)), []);
+    const frames = framer.push(packet.subarray(20));
+
+    assert.deepStrictEqual(frameTypes(frames), ['avl']);
+    assert.ok(frames[0].valid);
+    assert.ok(frames[0].raw.equals(packet));
+    assert.strictEqual(framer.bufferedLength, 0);
+});
+
+test('emits the same frames wherever the stream is split', () => {
+    const json = Buffer.from(JSON.stringify({ timestamp: 1, note: 'a "quoted" {brace}' }));
+    const stream = Buffer.concat([imeiFrame(), avlPacket(), json]);
+
+    for (let offset = 1; offset < stream.length; offset++) {
+        const framer = createStreamFramer({ maxBufferSize: 65536 });
+        const frames = [...framer.push(stream.subarray(0, offset)), ...framer.push(stream.subarray(offset))];
+
+        assert.deepStrictEqual(frameTypes(frames), ['imei', 'avl', 'json'], `split at ${offset}`);
+        assert.strictEqual(frames[0].imei, IMEI);
+        assert.ok(frames[1].valid, `split at ${offset}`);
+        assert.deepStrictEqual(frames[2].data, JSON.parse(json), `split at ${offset}`);
+        assert.strictEqual(framer.stats.bytesDiscarded, 0, `split at ${offset}`);
+        assert.strictEqual(framer.bufferedLength, 0);
+    }
+});
+
+test('emits every frame of coalesced chunks in order', () => {
+    const framer = createStreamFramer({ maxBufferSize: 65536 });
+    const json = Buffer.from(JSON.stringify({ timestamp: 1, latitude: 54.7 }));
+    const frames = framer.push(Buffer.concat([imeiFrame(), avlPacket(54.1), avlPacket(54.2), json]));
+
+    assert.deepStrictEqual(frameTypes(frames), ['imei', 'avl', 'avl', 'json']);
+    assert.strictEqual(frames[0].imei, IMEI);
+    assert.deepStrictEqual(frames[3].data, { timestamp: 1, latitude: 54.7 });
+    assert.strictEqual(framer.stats.framesEmitted, 4);
+});
+
+test('drops garbage between frames and keeps the frames around it', () => {
+    const discarded = [];
+    const framer = createStreamFramer({
+        maxBufferSize: 65536,
+        onDiscard: (length, reason) => discarded.push({ length, reason })
+    });
+    const garbage = Buffer.from('\xff\x13hello\x01\x02', 'latin1');
+    const frames = framer.push(Buffer.concat([imeiFrame(), garbage, avlPacket(), garbage]));
+
+    assert.deepStrictEqual(frameTypes(frames), ['imei', 'avl']);
+    assert.ok(frames[1].valid);
+    assert.strictEqual(framer.stats.bytesDiscarded, garbage.length * 2);
+    assert.ok(discarded.every(entry => entry.reason === 'garbage'));
+    assert.strictEqual(framer.bufferedLength, 0);
+});
+
+test('finds a valid packet hidden behind a header that fails its CRC', () => {
+    const framer = createStreamFramer({ maxBufferSize: 65536 });
+    const packet = avlPacket();
+    // A stray zero byte looks like the start of a packet but shifts its length field
+    const frames = framer.push(Buffer.concat([Buffer.from([0x00]), packet]));
+
+    assert.deepStrictEqual(frameTypes(frames), ['avl']);
+    assert.ok(frames[0].valid);
+    assert.ok(frames[0].raw.equals(packet));
+});
+
+test('discards the buffer when it grows past maxBufferSize', () => {
+    const framer = createStreamFramer({ maxBufferSize: 64 });
+
+    // An unterminated JSON string keeps the frame incomplete until the limit
+    const frames = framer.push(Buffer.concat([imeiFrame(), Buffer.from('{"a":"'), Buffer.alloc(80, 0x61)]));
+
+    assert.deepStrictEqual(frameTypes(frames), ['imei']);
+    assert.strictEqual(framer.stats.overflows, 1);
+    assert.strictEqual(framer.bufferedLength, 0);
+});
+
+// Bytes read by the framer for `length` bytes of `fill`, pushed in 1 KB chunks
+function scanCost(fill, length) {
+    const framer = createStreamFramer({ maxBufferSize: 1048576 });
+    const input = Buffer.alloc(length, fill);
+    for (let offset = 0; offset < length; offset += 1024) {
+        framer.push(input.subarray(offset, offset + 1024));
+    }
+    return framer.stats.bytesScanned;
+}
+
+test('reads unterminated input once, so the cost grows linearly with its size', () => {
+    for (const fill of ['{', '{ ', '{"', 'x{']) {
+        const small = scanCost(fill, 64 * 1024);
+        const large = scanCost(fill, 256 * 1024);
+
+        assert.ok(small <= 2 * 64 * 1024, `${JSON.stringify(fill)}: ${small} bytes read for 64 KB`);
+        assert.ok(large <= 4.5 * small, `${JSON.stringify(fill)}: ${large} bytes read for 256 KB, ${small} for 64 KB`);
+    }
+});
+
+test('gives up on an unclosed brace after MAX_JSON_FRAME bytes and finds the frames after it', () => {
+    const framer = createStreamFramer({ maxBufferSize: 1048576 });
+    const frames = framer.push(Buffer.concat([Buffer.alloc(20000, '{'), imeiFrame(), avlPacket()]));
+
+    assert.deepStrictEqual(frameTypes(frames), ['imei', 'avl']);
+    assert.strictEqual(framer.stats.bytesDiscarded, 20000);
+    assert.strictEqual(framer.bufferedLength, 0);
+});
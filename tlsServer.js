@@ -0,0 +1,101 @@
+const tls = require('tls');
+const fs = require('fs');
+const config = require('./config');
+
+let tlsServer = null;
+let certificateLoadedAt = null;
+
+function loadCertificate() {
+    return {
+        cert: fs.readFileSync(config.TLS_CERT_FILE),
+        key: fs.readFileSync(config.TLS_KEY_FILE)
+    };
+}
+
+// Swap in the certificate and key from disk. New handshakes use them right away;
+// established sessions are not affected. A bad file keeps the current certificate.
+function reloadTlsCertificate() {
+    if (!tlsServer) return false;
+
+    try {
+        tlsServer.setSecureContext(loadCertificate());
+        certificateLoadedAt = new Date();
+        console.log(`🔐 Reloaded TLS certificate from ${config.TLS_CERT_FILE}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ TLS certificate not reloaded, keeping the current one: ${error.message}`);
+        return false;
+    }
+}
+
+// Watch the certificate files so renewals apply without a restart
+function onCertificateFileChange(current, previous) {
+    if (current.mtimeMs !== previous.mtimeMs) {
+        reloadTlsCertificate();
+    }
+}
+
+// Start the TLS listener. Connections are handed to the same handler as plaintext
+// ones once the handshake has completed.
+function startTlsServer(handleConnection, port = config.TLS_PORT) {
+    return new Promise((resolve, reject) => {
+        let credentials;
+        try {
+            credentials = loadCertificate();
+        } catch (error) {
+            return reject(new Error(`Cannot load TLS certificate: ${error.message}`));
+        }
+
+        tlsServer = tls.createServer(credentials, handleConnection);
+        certificateLoadedAt = new Date();
+
+        // Failed handshakes never reach the connection handler
+        tlsServer.on('tlsClientError', (error, socket) => {
+            console.warn(`🔐 TLS handshake failed from ${socket.remoteAddress}: ${error.message}`);
+        });
+
+        tlsServer.once('error', reject);
+        tlsServer.listen(port, () => {
+            tlsServer.removeListener('error', reject);
+            tlsServer.on('error', (error) => console.error(`❌ TLS server error: ${error.message}`));
+
+            for (const file of [config.TLS_CERT_FILE, config.TLS_KEY_FILE]) {
+                fs.watchFile(file, { interval: config.TLS_CERT_CHECK_INTERVAL }, onCertificateFileChange);
+            }
+
+            console.log(`🔐 TLS server listening on port ${tlsServer.address().port}`);
+            resolve(tlsServer);
+        });
+    });
+}
+
+function stopTlsServer() {
+    if (!tlsServer) return;
+
+    fs.unwatchFile(config.TLS_CERT_FILE, onCertificateFileChange);
+    fs.unwatchFile(config.TLS_KEY_FILE, onCertificateFileChange);
+    tlsServer.close();
+    tlsServer = null;
+}
+
+// Negotiated TLS parameters of a device connection, or null for plaintext sockets
+function describeTlsSession(socket) {
+    if (!socket.encrypted) return null;
+
+    const cipher = socket.getCipher() || {};
+    return {
+        protocol: socket.getProtocol(),
+        cipher: cipher.name,
+        cipherVersion: cipher.version,
+        servername: socket.servername || null,
+        sessionReused: socket.isSessionReused(),
+        certificateLoadedAt
+    };
+}
+
+module.exports = {
+    startTlsServer,
+    stopTlsServer,
+    reloadTlsCertificate,
+    describeTlsSession
+};
@@ -0,0 +1,254 @@
+const mongoose = require('mongoose');
+const TrackerState = require('./models/TrackerState');
+const { Device, WalkPath, isDatabaseConnected } = require('./database');
+const { createTrackerState } = require('./segmentation');
+const { getSegmentationSettings } = require('./segmentationProfiles');
+const config = require('./config');
+
+// Tracker states changed since the last checkpoint, per IMEI. They are written in
+// one bulk write every TRACKER_CHECKPOINT_INTERVAL rather than on every record.
+const dirtyStates = new Map();
+
+// Restores in progress, so concurrent records of a device share one lookup
+const restoring = new Map();
+
+let checkpointTimer = null;
+
+// Whether reconciling is waiting for the database to come back
+let reconcileRetryPending = false;
+
+const IDLE_STATE = {
+    phase: 'idle',
+    movementStartTime: null,
+    stoppedAt: null,
+    pendingPoints: [],
+    lastWalkStart: null,
+    lastWalkEnd: null,
+    activeWalkPathId: null,
+    lastWalkPathId: null
+};
+
+function toCheckpoint(state) {
+    return {
+        phase: state.phase,
+        movementStartTime: state.movementStartTime,
+        stoppedAt: state.stoppedAt,
+        pendingPoints: state.pendingPoints,
+        lastPoint: state.lastPoint,
+        lastFix: state.lastFix,
+        jumpCandidate: state.jumpCandidate,
+        recentFixes: state.recentFixes,
+        lastWalkStart: state.lastWalkStart || null,
+        lastWalkEnd: state.lastWalkEnd || null,
+        activeWalkPathId: state.activeWalkPathId || null,
+        lastWalkPathId: state.lastWalkPathId || null
+    };
+}
+
+// Note a device's new tracker state for the next checkpoint
+function checkpointTracker(imei, state) {
+    dirtyStates.set(imei, state);
+}
+
+async function flushCheckpoints() {
+    // A tracker that started afresh because its checkpoint couldn't be read must
+    // not overwrite that checkpoint; it is written once restored
+    for (const [imei, state] of dirtyStates) {
+        if (state.restored === false) dirtyStates.delete(imei);
+    }
+    if (dirtyStates.size === 0) return;
+
+    const updates = [...dirtyStates.entries()];
+    dirtyStates.clear();
+
+    try {
+        await TrackerState.bulkWrite(updates.map(([imei, state]) => ({
+            updateOne: {
+                filter: { deviceImei: imei },
+                update: { $set: toCheckpoint(state) },
+                upsert: true
+            }
+        })), { ordered: false });
+    } catch (error) {
+        // Keep them for the next round unless a newer state has replaced them
+        for (const [imei, state] of updates) {
+            if (!dirtyStates.has(imei)) dirtyStates.set(imei, state);
+        }
+        console.error(`❌ Error checkpointing walk trackers: ${error.message}`);
+    }
+}
+
+// A fresh tracker standing in for one whose checkpoint couldn't be read
+function unrestoredState() {
+    return { ...createTrackerState(), restored: false };
+}
+
+async function loadCheckpoint(imei) {
+    if (!isDatabaseConnected()) {
+        console.warn(`⚠️ Cannot restore walk tracker for ${imei} while the database is disconnected, starting afresh until it can be`);
+        return unrestoredState();
+    }
+
+    try {
+        const saved = await TrackerState.findOne({ deviceImei: imei }).lean();
+        if (!saved) return createTrackerState();
+
+        if (saved.phase !== 'idle') {
+            console.log(`♻️ Restored ${saved.phase} walk tracker for ${imei} with ${(saved.pendingPoints || []).length} pending point(s)`);
+        }
+        return {
+            ...createTrackerState(),
+            phase: saved.phase,
+            movementStartTime: saved.movementStartTime || null,
+            stoppedAt: saved.stoppedAt || null,
+            pendingPoints: saved.pendingPoints || [],
+            lastPoint: saved.lastPoint || null,
+            lastFix: saved.lastFix || null,
+            jumpCandidate: saved.jumpCandidate || null,
+            recentFixes: saved.recentFixes || [],
+            lastWalkStart: saved.lastWalkStart || null,
+            lastWalkEnd: saved.lastWalkEnd || null,
+            activeWalkPathId: saved.activeWalkPathId || null,
+            lastWalkPathId: saved.lastWalkPathId || null
+        };
+    } catch (error) {
+        console.error(`❌ Error restoring walk tracker for ${imei}, starting afresh until it can be: ${error.message}`);
+        return unrestoredState();
+    }
+}
+
+// A device's tracker state as of its last checkpoint, or a fresh one. If the
+// checkpoint couldn't be read the state has `restored: false`, carried over by
+// every state stepped from it, and is never checkpointed; restore again later.
+function restoreTracker(imei) {
+    if (!restoring.has(imei)) {
+        restoring.set(imei, loadCheckpoint(imei).finally(() => restoring.delete(imei)));
+    }
+    return restoring.get(imei);
+}
+
+// Settle walks left active by the last shutdown or crash, before devices reconnect.
+// A device's newest active walk whose last point is within its resume window is
+// resumed from its walking checkpoint, or from the walk itself if there is none;
+// all others are closed at their last point. Checkpoints that can no longer
+// continue are reset to idle. If the database can't be reached it is tried again
+// once the connection comes back.
+async function reconcileActiveWalks() {
+    try {
+        const walks = await WalkPath.find({ isActive: true })
+            .select({ device: 1, startTime: 1, coordinates: { $slice: -1 } })
+            .sort({ startTime: -1 })
+            .lean();
+
+        const devices = await Device.find({ _id: { $in: walks.map(walk => walk.device) } }).select('deviceId').lean();
+        const imeis = new Map(devices.map(device => [String(device._id), device.deviceId]));
+
+        const resumed = new Map();
+        let closed = 0;
+        const now = Date.now();
+
+        for (const walk of walks) {
+            const imei = imeis.get(String(walk.device));
+            const lastPoint = walk.coordinates[walk.coordinates.length - 1] || null;
+            const lastTime = lastPoint ? lastPoint.timestamp : walk.startTime;
+
+            if (imei && !resumed.has(imei)) {
+                const settings = await getSegmentationSettings(imei);
+                if (now - lastTime <= settings.resumeWindow) {
+                    resumed.set(imei, { walk, lastPoint });
+                    continue;
+                }
+            }
+
+            await WalkPath.updateOne({ _id: walk._id }, { $set: { isActive: false, endTime: lastTime } });
+            closed++;
+        }
+
+        for (const [imei, { walk, lastPoint }] of resumed) {
+            // The checkpoint knows more than the walk's last point: whether the
+            // device had stopped, its fix history and any held points. Only
+            // without one is the tracker rebuilt from the walk.
+            const checkpoint = await TrackerState.findOne({ deviceImei: imei }).lean();
+            if (checkpoint && checkpoint.phase === 'walking') {
+                await TrackerState.updateOne({ _id: checkpoint._id }, { $set: { activeWalkPathId: walk._id } });
+                continue;
+            }
+
+            await TrackerState.updateOne({ deviceImei: imei }, {
+                $set: {
+                    phase: 'walking',
+                    movementStartTime: walk.startTime,
+                    stoppedAt: null,
+                    pendingPoints: [],
+                    lastPoint,
+                    lastFix: lastPoint,
+                    jumpCandidate: null,
+                    recentFixes: lastPoint ? [lastPoint] : [],
+                    lastWalkStart: null,
+                    lastWalkEnd: null,
+                    activeWalkPathId: walk._id,
+                    lastWalkPathId: null
+                }
+            }, { upsert: true });
+        }
+
+        // Walking checkpoints whose walk was just closed, and points held back so
+        // long ago that movement now couldn't continue them
+        let reset = 0;
+        const states = await TrackerState.find({ phase: { $ne: 'idle' }, deviceImei: { $nin: [...resumed.keys()] } }).lean();
+        for (const state of states) {
+            const settings = await getSegmentationSettings(state.deviceImei);
+            const lastTime = state.lastPoint ? state.lastPoint.timestamp : state.updatedAt;
+            if (state.phase === 'walking' || now - lastTime > settings.resumeWindow) {
+                await TrackerState.updateOne({ _id: state._id }, { $set: IDLE_STATE });
+                reset++;
+            }
+        }
+
+        if (resumed.size > 0 || closed > 0 || reset > 0) {
+            console.log(`🧹 Walks left active by the last shutdown: ${resumed.size} resumed, ${closed} closed; ${reset} tracker(s) reset`);
+        }
+    } catch (error) {
+        console.error(`❌ Error reconciling active walks, retrying once the database reconnects: ${error.message}`);
+        retryReconcileOnReconnect();
+    }
+}
+
+function retryReconcileOnReconnect() {
+    if (reconcileRetryPending) return;
+    reconcileRetryPending = true;
+
+    const retry = () => {
+        mongoose.connection.off('connected', retry);
+        mongoose.connection.off('reconnected', retry);
+        reconcileRetryPending = false;
+        reconcileActiveWalks();
+    };
+    mongoose.connection.on('connected', retry);
+    mongoose.connection.on('reconnected', retry);
+}
+
+// Write changed tracker states every TRACKER_CHECKPOINT_INTERVAL
+function startTrackerCheckpoints() {
+    const schedule = () => {
+        checkpointTimer = setTimeout(async () => {
+            await flushCheckpoints();
+            if (checkpointTimer) schedule();
+        }, config.TRACKER_CHECKPOINT_INTERVAL);
+    };
+    schedule();
+}
+
+async function stopTrackerCheckpoints() {
+    clearTimeout(checkpointTimer);
+    checkpointTimer = null;
+    await flushCheckpoints();
+}
+
+module.exports = {
+    checkpointTracker,
+    restoreTracker,
+    reconcileActiveWalks,
+    startTrackerCheckpoints,
+    stopTrackerCheckpoints
+};
@@ -0,0 +1,174 @@
+const dgram = require('dgram');
+const config = require('./config');
+const { parseAvlDataArray } = require('./parsers');
+const { getDeviceInfoByDeviceId } = require('./database');
+const { getDeviceProfile } = require('./profiles');
+const { processAvlRecords } = require('./deviceServer');
+const { captureDatagram } = require('./packetCapture');
+const { allowPacket } = require('./admissionControl');
+const { admitUnknownDevice } = require('./quarantine');
+const { recordPacket, recordAck, recordUnacked } = require('./deliveryStats');
+const { markSeen } = require('./liveness');
+
+// Last AVL packet ID handled per IMEI, so retransmitted datagrams are acked
+// again without being stored twice
+const lastAvlPacketIds = new Map();
+
+let udpServer = null;
+
+// Decode the UDP channel header that precedes the AVL data array:
+// length (2), packet ID (2), not usable byte (1), AVL packet ID (1),
+// IMEI length (2), IMEI
+function parseUdpHeader(buffer) {
+    if (buffer.length < 8) {
+        return null;
+    }
+
+    const length = buffer.readUInt16BE(0);
+    if (length + 2 !== buffer.length) {
+        console.warn(`UDP length mismatch: header says ${length}, datagram has ${buffer.length - 2}`);
+        return null;
+    }
+
+    const packetId = buffer.readUInt16BE(2);
+    const avlPacketId = buffer[5];
+    const imeiLength = buffer.readUInt16BE(6);
+    if (imeiLength < 15 || imeiLength > 17 || buffer.length < 8 + imeiLength) {
+        console.warn(`Invalid IMEI length in UDP header: ${imeiLength}`);
+        return null;
+    }
+
+    const imei = buffer.toString('ascii', 8, 8 + imeiLength);
+    if (!/^\d+$/.test(imei)) {
+        console.warn(`Invalid IMEI in UDP header: ${imei}`);
+        return null;
+    }
+
+    return {
+        packetId,
+        avlPacketId,
+        imei,
+        dataOffset: 8 + imeiLength
+    };
+}
+
+// Build the UDP ack: length (2), packet ID (2), not usable byte (1),
+// AVL packet ID (1), number of accepted records (1)
+function buildUdpAck(packetId, avlPacketId, acceptedCount) {
+    const ack = Buffer.alloc(7);
+    ack.writeUInt16BE(5, 0);
+    ack.writeUInt16BE(packetId, 2);
+    ack[4] = 0x01;
+    ack[5] = avlPacketId;
+    ack[6] = acceptedCount;
+    return ack;
+}
+
+async function handleDatagram(message, rinfo) {
+    if (config.DEBUG_LOG) {
+        console.log(`📩 Received ${message.length} byte UDP datagram from ${rinfo.address}:${rinfo.port}`);
+    }
+
+    const header = parseUdpHeader(message);
+    captureDatagram(rinfo, 'in', message, header && header.imei);
+    if (!header) return;
+
+    const { packetId, avlPacketId, imei, dataOffset } = header;
+
+    // Datagrams over the rate limit, or from a banned IP or IMEI, are dropped without an ack
+    if (!allowPacket(imei, rinfo.address)) return;
+    markSeen(imei, rinfo.address);
+
+    // Number of records 2 closes the datagram and must match number of records 1
+    const numberOfRecords1 = message[dataOffset + 1];
+    const numberOfRecords2 = message[message.length - 1];
+    if (numberOfRecords1 !== numberOfRecords2) {
+        console.warn(`🚫 UDP record count mismatch from ${imei}: ${numberOfRecords1} vs ${numberOfRecords2}, withholding ack`);
+        return;
+    }
+
+    const sendAck = (count) => {
+        const ack = buildUdpAck(packetId, avlPacketId, count);
+        captureDatagram(rinfo, 'out', ack, imei);
+        udpServer.send(ack, rinfo.port, rinfo.address, (err) => {
+            if (err) console.error(`❌ Error sending UDP ack to ${imei}: ${err.message}`);
+        });
+    };
+
+    // A datagram seen before was resent, usually because its ack was lost or withheld
+    recordPacket(imei, `${message.length}:${avlPacketId}:${message.toString('hex', dataOffset, Math.min(message.length, dataOffset + 32))}`);
+
+    // Retransmission of a datagram we already stored: just ack it again
+    if (lastAvlPacketIds.get(imei) === avlPacketId) {
+        console.log(`🔁 Duplicate UDP AVL packet ${avlPacketId} from ${imei}, re-sending ack`);
+        sendAck(numberOfRecords1);
+        return;
+    }
+
+    let deviceInfo;
+    try {
+        deviceInfo = await getDeviceInfoByDeviceId(imei);
+        if (!deviceInfo || deviceInfo.status === 'pending') {
+            deviceInfo = await admitUnknownDevice(imei, deviceInfo);
+        }
+    } catch (error) {
+        // Unacked, the device resends the datagram once the lookup can succeed
+        console.error(`❌ Cannot admit device ${imei} over UDP: ${error.message}. Ignoring datagram.`);
+        return;
+    }
+    if (!deviceInfo) {
+        console.warn(`⚠️ Unknown device over UDP: ${imei}. Ignoring datagram.`);
+        return;
+    }
+
+    const records = parseAvlDataArray(message, dataOffset, imei, getDeviceProfile(deviceInfo.model));
+    if (records.length === 0) return;
+
+    // Without an ack the device resends the datagram, and it will be stored then
+    const persisted = await processAvlRecords(imei, records, 'udp');
+    if (!persisted && config.ACK_MODE === 'persisted') {
+        recordUnacked(imei, 'records not stored');
+        return;
+    }
+
+    lastAvlPacketIds.set(imei, avlPacketId);
+    recordAck(imei);
+    sendAck(records.length);
+}
+
+// Start the UDP listener for devices configured for UDP transport
+function startUdpServer(port = config.UDP_PORT) {
+    return new Promise((resolve, reject) => {
+        udpServer = dgram.createSocket('udp4');
+
+        udpServer.on('message', (message, rinfo) => {
+            handleDatagram(message, rinfo).catch((error) => {
+                console.error(`❌ Error handling UDP datagram from ${rinfo.address}: ${error.message}`);
+            });
+        });
+
+        udpServer.on('error', (err) => {
+            console.error(`❌ UDP server error: ${err.message}`);
+            reject(err);
+        });
+
+        udpServer.bind(port, () => {
+            console.log(`🚀 UDP server listening on port ${udpServer.address().port}`);
+            resolve(udpServer);
+        });
+    });
+}
+
+function stopUdpServer() {
+    if (udpServer) {
+        udpServer.close();
+        udpServer = null;
+    }
+}
+
+module.exports = {
+    startUdpServer,
+    stopUdpServer,
+    parseUdpHeader,
+    buildUdpAck
+};
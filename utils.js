@@ -1,6 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { RAW_PACKET_LOG, SAVE_RAW_PACKETS, FAILED_MESSAGES_FILE } = require('./config');
+const { capturePacket } = require('./packetCapture');
 
 // Hexdump function for debugging (buffer visualization)
 function hexDump(buffer, bytesPerLine = 16) {
@@ -121,8 +122,48 @@ function parseImeiPacket(buffer) {
     }
 }
 
+// CRC-16/IBM (polynomial 0xA001 reflected, initial value 0) as used by Teltonika
+// to protect the AVL data field
+function crc16IBM(buffer, start = 0, end = buffer.length) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc ^= buffer[i];
+        for (let bit = 0; bit < 8; bit++) {
+            if (crc & 1) {
+                crc = (crc >>> 1) ^ 0xA001;
+            } else {
+                crc >>>= 1;
+            }
+        }
+    }
+    return crc;
+}
+
+// Improved safe socket write function
+function safeSocketWrite(socket, data, deviceImei) {
+    try {
+        if (socket && !socket.destroyed && socket.writable) {
+            socket.write(data);
+            capturePacket(socket, 'out', data);
+            if (socket.stats) {
+                socket.stats.bytesSent += data.length;
+                socket.stats.packetsSent++;
+            }
+            return true;
+        } else {
+            console.log(`⚠️ Cannot write to socket for device ${deviceImei}: Socket not writable`);
+            return false;
+        }
+    } catch (error) {
+        console.error(`❌ Error writing to socket for ${deviceImei}: ${error.message}`);
+        return false;
+    }
+}
+
 module.exports = {
     hexDump,
+    safeSocketWrite,
+    crc16IBM,
     isImeiPacket,
     parseImeiPacket
 }; 
\ No newline at end of file
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { saveDeviceData, isDatabaseConnected } = require('./database');
+const config = require('./config');
+
+// Records that could not be stored in MongoDB are appended to FAILED_MESSAGES_FILE,
+// one JSON entry per line: { id, t, imei, transport, records }. The file is the
+// source of truth; `entries` mirrors it in memory. Entries are replayed in order
+// once the database is back, and because saveDeviceData deduplicates on
+// (device, timestamp) an entry replayed twice after a crash is harmless.
+//
+// The file is only appended to while entries are pending. The id of the last
+// entry handled is kept in a small cursor file beside it, and the file is
+// truncated once the queue is empty, so a long outage costs no rewrites.
+//
+// Records that can never be stored as they are (refused by MongoDB, or for a
+// device that doesn't exist) go to DEAD_LETTER_FILE instead, so they neither
+// block the queue nor are lost.
+let entries = [];
+let nextId = 1;
+let lastHandledId = 0;
+let loaded = false;
+let replaying = null;
+let replayTimer = null;
+
+const stats = {
+    queued: 0,
+    replayed: 0,
+    deadLettered: 0,
+    lastReplayAt: null,
+    lastError: null
+};
+
+function cursorFile() {
+    return `${config.FAILED_MESSAGES_FILE}.done`;
+}
+
+function loadQueue() {
+    if (loaded) return;
+    loaded = true;
+
+    if (!fs.existsSync(config.FAILED_MESSAGES_FILE)) return;
+
+    if (fs.existsSync(cursorFile())) {
+        lastHandledId = parseInt(fs.readFileSync(cursorFile(), 'utf8'), 10) || 0;
+    }
+
+    const lines = fs.readFileSync(config.FAILED_MESSAGES_FILE, 'utf8').split('\n');
+    for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            console.warn(`⚠️ Skipping malformed write-ahead queue line: ${line.slice(0, 80)}`);
+        }
+    }
+    nextId = entries.reduce((max, entry) => Math.max(max, entry.id || 0), lastHandledId) + 1;
+
+    // Entries handled before a restart are still in the file until it is truncated
+    entries = entries.filter(entry => entry.id > lastHandledId);
+    if (entries.length === 0) saveCursor();
+
+    if (entries.length > 0) {
+        console.log(`📥 Loaded ${entries.length} queued packet(s) from ${config.FAILED_MESSAGES_FILE}`);
+    }
+}
+
+// Append records to the queue. The write is synchronous so the entry is on disk
+// before the caller acks the device.
+function enqueue(imei, records, transport) {
+    loadQueue();
+
+    const entry = { id: nextId++, t: new Date().toISOString(), imei, transport, records };
+    fs.appendFileSync(config.FAILED_MESSAGES_FILE, JSON.stringify(entry) + '\n');
+    entries.push(entry);
+    stats.queued++;
+
+    console.warn(`💾 Queued ${records.length} record(s) from ${imei} for later storage (queue depth ${entries.length})`);
+}
+
+// Keep records that can never be stored as they are, with the reason
+function deadLetter(imei, records, transport, reason) {
+    const entry = { t: new Date().toISOString(), imei, transport, reason, records };
+    fs.appendFileSync(config.DEAD_LETTER_FILE, JSON.stringify(entry) + '\n');
+    stats.deadLettered++;
+
+    console.error(`☠️ ${records.length} record(s) from ${imei} cannot be stored (${reason}), kept in ${config.DEAD_LETTER_FILE}`);
+}
+
+// Note how far the queue has been handled. Once it is empty the file is truncated
+// instead; appends are synchronous too, so none can slip in between.
+function saveCursor() {
+    if (entries.length === 0) {
+        // Cursor first: after a crash in between, handled entries are replayed
+        // again, which is harmless, rather than new ones being skipped
+        if (fs.existsSync(cursorFile())) fs.unlinkSync(cursorFile());
+        fs.writeFileSync(config.FAILED_MESSAGES_FILE, '');
+        lastHandledId = 0;
+        return;
+    }
+    fs.writeFileSync(cursorFile(), String(lastHandledId));
+}
+
+// Store one packet's records. Returns 'stored', 'retry' if MongoDB could not be
+// reached, or 'deadLettered' if they were set aside for good.
+async function storeRecords(imei, records, transport) {
+    let result;
+    try {
+        result = await saveDeviceData(imei, records);
+    } catch (error) {
+        deadLetter(imei, records, transport, error.message);
+        return 'deadLettered';
+    }
+
+    if (result === null) return 'retry';
+    if (result.deviceNotFound) {
+        deadLetter(imei, records, transport, 'device not found');
+        return 'deadLettered';
+    }
+    return 'stored';
+}
+
+// Store records, or queue them if MongoDB is unreachable. While the queue is not
+// empty new records are queued behind it, so storage order is preserved.
+// Returns 'stored', 'queued' or 'deadLettered'.
+async function persistRecords(imei, records, transport = 'tcp') {
+    loadQueue();
+
+    if (entries.length === 0 && isDatabaseConnected()) {
+        const outcome = await storeRecords(imei, records, transport);
+        if (outcome !== 'retry') return outcome;
+    }
+
+    enqueue(imei, records, transport);
+    return 'queued';
+}
+
+// Store queued entries in order until the queue is empty or MongoDB can't be reached
+async function replayQueue() {
+    loadQueue();
+    if (replaying) return replaying;
+    if (entries.length === 0 || !isDatabaseConnected()) return 0;
+
+    replaying = (async () => {
+        let stored = 0;
+        console.log(`🔁 Replaying ${entries.length} queued packet(s) to MongoDB`);
+
+        try {
+            let handled = 0;
+            while (entries.length > 0 && isDatabaseConnected()) {
+                const entry = entries[0];
+                const outcome = await storeRecords(entry.imei, entry.records, entry.transport);
+                if (outcome === 'retry') {
+                    stats.lastError = `Failed to store queued packet ${entry.id} from ${entry.imei}`;
+                    break;
+                }
+
+                entries.shift();
+                lastHandledId = entry.id;
+                handled++;
+                if (outcome === 'stored') {
+                    stored++;
+                    stats.replayed++;
+                }
+
+                // Keep the cursor roughly in step so a crash doesn't replay everything again
+                if (handled % 100 === 0) saveCursor();
+            }
+            saveCursor();
+        } catch (error) {
+            stats.lastError = error.message;
+            console.error(`❌ Error replaying write-ahead queue: ${error.message}`);
+        }
+
+        stats.lastReplayAt = new Date();
+        console.log(`✅ Replayed ${stored} queued packet(s), ${entries.length} left`);
+        return stored;
+    })();
+
+    try {
+        return await replaying;
+    } finally {
+        replaying = null;
+    }
+}
+
+// Load the queue, replay it now and whenever MongoDB (re)connects, and retry
+// periodically in case a replay stopped on a failed write
+function startWriteAheadQueue() {
+    loadQueue();
+
+    const replay = () => {
+        replayQueue().catch(error => console.error(`❌ Error replaying write-ahead queue: ${error.message}`));
+    };
+    mongoose.connection.on('connected', replay);
+    mongoose.connection.on('reconnected', replay);
+
+    const schedule = () => {
+        replayTimer = setTimeout(() => {
+            replay();
+            schedule();
+        }, config.QUEUE_REPLAY_INTERVAL);
+    };
+    schedule();
+
+    replay();
+}
+
+function stopWriteAheadQueue() {
+    clearTimeout(replayTimer);
+    replayTimer = null;
+}
+
+function getQueueStats() {
+    loadQueue();
+    return {
+        depth: entries.length,
+        records: entries.reduce((sum, entry) => sum + entry.records.length, 0),
+        oldestQueuedAt: entries.length > 0 ? entries[0].t : null,
+        replaying: !!replaying,
+        databaseConnected: isDatabaseConnected(),
+        ...stats
+    };
+}
+
+module.exports = {
+    persistRecords,
+    replayQueue,
+    startWriteAheadQueue,
+    stopWriteAheadQueue,
+    getQueueStats
+};